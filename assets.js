@@ -0,0 +1,156 @@
+// --- Assets ---
+// Where the MediaPipe runtime and models come from: local copies in vendor/
+// first (node tools/fetch-assets.mjs puts them there), then CDN mirrors. Every
+// download reports its progress and is retried a few times before the next
+// source gets a turn, so venues that block the CDNs only need the local copies.
+// The candidates and versions are in assets.json, which bootstrap.js also reads
+// for the import map of three.js and the MediaPipe library.
+
+const MANIFEST_URL = new URL('./assets.json', import.meta.url);
+
+export const DEFAULT_ASSET_OPTIONS = {
+    sources: {},            // Replaces the candidates of single assets, e.g. { handModel: ['/models/hand.task'] }
+    retries: 2,             // Extra attempts per source before moving on
+    retryDelayMs: 1000,     // Before the first retry, doubling after that
+    stallMs: 10000,         // Give up on an attempt after this long without any data
+    onProgress: () => {},   // ({ name, url, loaded, total }) while downloading; total is 0 if unknown
+    onRetry: () => {}       // ({ name, url, attempt, error }) before each retry
+};
+
+// Candidate URLs per file asset (wasm, handModel, faceModel) from a parsed
+// assets.json, versions filled in. Relative paths resolve against `base`.
+export function manifestSources(manifest, base) {
+    const sources = {};
+    Object.keys(manifest.files).forEach((name) => {
+        sources[name] = manifest.files[name].map((url) => {
+            const expanded = url.replace(/\{(\w+)\}/g, (match, key) => manifest.versions[key] || match);
+            return base ? new URL(expanded, base).href : expanded;
+        });
+    });
+    return sources;
+}
+
+function delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Downloaded chunks as one array
+function join(chunks, length) {
+    const data = new Uint8Array(length);
+    let offset = 0;
+    chunks.forEach((chunk) => {
+        data.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return data;
+}
+
+export function createAssetLoader(options = {}) {
+    const opts = { ...DEFAULT_ASSET_OPTIONS, ...options };
+    let sources = null; // From assets.json, loaded with the first asset that isn't in opts.sources
+
+    async function getSources(name) {
+        if (opts.sources[name]) return opts.sources[name];
+        if (!sources) {
+            const response = await fetch(MANIFEST_URL);
+            if (!response.ok) throw new Error(`assets.json: HTTP ${response.status}`);
+            sources = manifestSources(await response.json(), MANIFEST_URL);
+        }
+        return sources[name];
+    }
+
+    // Networks that silently drop traffic would otherwise keep a request open for
+    // minutes: every attempt is aborted once no data arrived for opts.stallMs
+    async function download(name, url) {
+        const controller = new AbortController();
+        let timer = null;
+        const watch = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => controller.abort(), opts.stallMs);
+        };
+        watch();
+        try {
+            const response = await fetch(url, { signal: controller.signal });
+            if (!response.ok) {
+                const error = new Error(`${url}: HTTP ${response.status}`);
+                error.status = response.status;
+                throw error;
+            }
+            const total = Number(response.headers.get('content-length')) || 0;
+            if (!response.body) return new Uint8Array(await response.arrayBuffer());
+
+            const reader = response.body.getReader();
+            const chunks = [];
+            let loaded = 0;
+            for (;;) {
+                watch();
+                const { done, value } = await reader.read();
+                if (done) break;
+                chunks.push(value);
+                loaded += value.length;
+                opts.onProgress({ name, url, loaded, total });
+            }
+            return join(chunks, loaded);
+        } catch (error) {
+            if (controller.signal.aborted) throw new Error(`${url}: no response for ${opts.stallMs / 1000} s`);
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // Every source in order, each a few times. Missing files (4xx) aren't retried.
+    async function fromFirstSource(name, load) {
+        const candidates = await getSources(name);
+        if (!candidates || candidates.length === 0) throw new Error(`No sources for ${name}`);
+        let lastError = null;
+        for (const url of candidates) {
+            for (let attempt = 0; attempt <= opts.retries; attempt++) {
+                if (attempt > 0) {
+                    opts.onRetry({ name, url, attempt, error: lastError });
+                    await delay(opts.retryDelayMs * 2 ** (attempt - 1));
+                }
+                try {
+                    return await load(url);
+                } catch (error) {
+                    lastError = error;
+                    if (error.status >= 400 && error.status < 500) break;
+                }
+            }
+        }
+        throw new Error(`${name} could not be loaded (${lastError.message})`);
+    }
+
+    return {
+        // A file asset (a model): { url, data (Uint8Array) }
+        fetch(name) {
+            return fromFirstSource(name, async (url) => ({ url, data: await download(name, url) }));
+        },
+        // A file in the first directory asset that has it: { base, data }
+        fetchFrom(name, file) {
+            return fromFirstSource(name, async (base) => ({ base, data: await download(name, `${base}/${file}`) }));
+        }
+    };
+}
+
+// The runtime files for FilesetResolver's place: the .wasm binary is downloaded
+// here (with progress) and the loader script comes from the same directory.
+// Revoke wasmBinaryPath (a blob URL) when done with the tasks.
+export async function loadVisionFileset(loader, FilesetResolver) {
+    const file = (await FilesetResolver.isSimdSupported()) ? 'vision_wasm_internal' : 'vision_wasm_nosimd_internal';
+    const { base, data } = await loader.fetchFrom('wasm', `${file}.wasm`);
+    return {
+        wasmLoaderPath: `${base}/${file}.js`,
+        wasmBinaryPath: URL.createObjectURL(new Blob([data], { type: 'application/wasm' }))
+    };
+}
+
+// GPU first; without WebGL (or on drivers MediaPipe can't use) the CPU still works
+export async function createWithFallback(create) {
+    try {
+        return await create('GPU');
+    } catch (error) {
+        console.warn('GPU delegate not available, using the CPU', error);
+        return create('CPU');
+    }
+}
@@ -0,0 +1,120 @@
+// --- Audio Input ---
+// Music file or microphone -> AnalyserNode -> frequency bands and beats.
+// The band/beat math is plain functions over the spectrum so it runs anywhere.
+
+export const BANDS = {
+    bass: [20, 250],     // Hz
+    mid: [250, 2000],
+    treble: [2000, 8000]
+};
+
+// Average level (0..1) per band from byte frequency data
+export function analyzeSpectrum(data, sampleRate) {
+    const binHz = sampleRate / (data.length * 2); // data.length = fftSize / 2
+    const levels = { level: 0 };
+    Object.keys(BANDS).forEach((band) => {
+        const [low, high] = BANDS[band];
+        const from = Math.max(0, Math.floor(low / binHz));
+        const to = Math.min(data.length - 1, Math.ceil(high / binHz));
+        let sum = 0;
+        for (let i = from; i <= to; i++) sum += data[i];
+        levels[band] = sum / ((to - from + 1) * 255);
+    });
+    levels.level = (levels.bass + levels.mid + levels.treble) / 3;
+    return levels;
+}
+
+// A beat is bass energy clearly above its recent average, at most every `minIntervalMs`
+export function createBeatDetector(options = {}) {
+    const { threshold = 1.35, minIntervalMs = 300, averageMs = 1000, minLevel = 0.15 } = options;
+    let average = null;
+    let sinceBeat = Infinity;
+
+    return function detect(bass, deltaMs) {
+        if (average === null) average = bass; // Warm up on the first sample
+        sinceBeat += deltaMs;
+        const isBeat = bass > minLevel && bass > average * threshold && sinceBeat >= minIntervalMs;
+        if (isBeat) sinceBeat = 0;
+        average += (bass - average) * (1 - Math.exp(-deltaMs / averageMs));
+        return isBeat;
+    };
+}
+
+export function createAudioInput(options = {}) {
+    const { fftSize = 1024, smoothing = 0.8 } = options;
+    let context = null;
+    let analyser = null;
+    let data = null;
+    let source = null;
+    let element = null;
+    let stream = null;
+    const detectBeat = createBeatDetector(options);
+    const silence = { level: 0, bass: 0, mid: 0, treble: 0, beat: false };
+
+    function ensureContext() {
+        if (!context) {
+            context = new AudioContext();
+            analyser = context.createAnalyser();
+            analyser.fftSize = fftSize;
+            analyser.smoothingTimeConstant = smoothing;
+            data = new Uint8Array(analyser.frequencyBinCount);
+        }
+        return context;
+    }
+
+    function stop() {
+        if (source) source.disconnect();
+        if (element) {
+            element.pause();
+            URL.revokeObjectURL(element.src);
+        }
+        if (stream) stream.getTracks().forEach((track) => track.stop());
+        source = null;
+        element = null;
+        stream = null;
+    }
+
+    return {
+        get active() {
+            return source !== null;
+        },
+        // Browsers start audio contexts suspended until a user gesture
+        resume() {
+            if (context && context.state === 'suspended') context.resume();
+        },
+        // Play a local music file (File or Blob), looping
+        async useFile(file) {
+            stop();
+            ensureContext();
+            element = new Audio(URL.createObjectURL(file));
+            element.loop = true;
+            source = context.createMediaElementSource(element);
+            source.connect(analyser);
+            analyser.connect(context.destination);
+            await element.play();
+        },
+        async useMicrophone() {
+            stop();
+            ensureContext();
+            stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+            source = context.createMediaStreamSource(stream);
+            source.connect(analyser);
+            analyser.disconnect(); // Don't play the microphone back
+        },
+        stop,
+        // Stop and release the audio context; a later useFile() or useMicrophone() makes a new one
+        dispose() {
+            stop();
+            if (context) context.close();
+            context = null;
+        },
+        // Current band levels (0..1) and whether a beat happened since the last call
+        update(deltaMs) {
+            if (!source) return silence;
+            analyser.getByteFrequencyData(data);
+            const levels = analyzeSpectrum(data, context.sampleRate);
+            levels.beat = detectBeat(levels.bass, deltaMs);
+            return levels;
+        }
+    };
+}
@@ -0,0 +1,204 @@
+import * as THREE from 'three';
+
+// --- Background (Knowledge Graph) ---
+// Drifting golden nodes connected by lines that fade out with distance.
+// Neighbors are found through a uniform grid (cell size = connect distance),
+// so each frame only checks nearby nodes instead of every pair.
+
+const BOUNDS = 150; // Nodes bounce back at this distance from the center on each axis
+
+export const DEFAULT_BACKGROUND_OPTIONS = {
+    nodeCount: 2000,
+    connectDistance: 30,
+    maxLines: 6000,       // Line budget (preallocated)
+    maxLinksPerNode: 3,   // Keeps lines spread over all nodes when the budget is tight
+    random: Math.random   // PRNG for the initial layout
+};
+
+export function createBackground(options = {}) {
+    const opts = { ...DEFAULT_BACKGROUND_OPTIONS, ...options };
+    const { nodeCount, connectDistance, maxLines, maxLinksPerNode, random } = opts;
+
+    const group = new THREE.Group();
+
+    // --- Nodes ---
+    const nodesGeometry = new THREE.BufferGeometry();
+    const positions = new Float32Array(nodeCount * 3);
+    const velocities = new Float32Array(nodeCount * 3);
+
+    for (let i = 0; i < nodeCount; i++) {
+        const r = 80 + random() * 60; // Far background
+        const theta = random() * Math.PI * 2;
+        const phi = Math.acos((random() * 2) - 1);
+
+        positions[i * 3] = r * Math.sin(phi) * Math.cos(theta);
+        positions[i * 3 + 1] = r * Math.sin(phi) * Math.sin(theta);
+        positions[i * 3 + 2] = r * Math.cos(phi);
+
+        // Random slow velocity
+        velocities[i * 3] = (random() - 0.5) * 0.05;
+        velocities[i * 3 + 1] = (random() - 0.5) * 0.05;
+        velocities[i * 3 + 2] = (random() - 0.5) * 0.05;
+    }
+    nodesGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+
+    const nodesMaterial = new THREE.PointsMaterial({
+        color: 0xFFD700, // Golden color
+        size: 1.5,
+        transparent: true,
+        opacity: 0.8
+    });
+    const nodes = new THREE.Points(nodesGeometry, nodesMaterial);
+    group.add(nodes);
+
+    // --- Lines ---
+    // Additive blending, so darker vertex colors read as more transparent lines
+    const linesGeometry = new THREE.BufferGeometry();
+    const linePositions = new Float32Array(maxLines * 2 * 3);
+    const lineColors = new Float32Array(maxLines * 2 * 3);
+    linesGeometry.setAttribute('position', new THREE.BufferAttribute(linePositions, 3));
+    linesGeometry.setAttribute('color', new THREE.BufferAttribute(lineColors, 3));
+
+    const linesMaterial = new THREE.LineBasicMaterial({
+        color: 0xFFD700, // Golden color
+        vertexColors: true,
+        transparent: true,
+        opacity: 0.3,
+        blending: THREE.AdditiveBlending
+    });
+    const lines = new THREE.LineSegments(linesGeometry, linesMaterial);
+    lines.frustumCulled = false;
+    group.add(lines);
+
+    // --- Spatial Grid ---
+    // Nodes are sorted into cells with a counting sort (no per-frame allocations)
+    const cellSize = connectDistance;
+    const gridMin = -BOUNDS - cellSize; // Nodes can overshoot the bounds slightly
+    const cellsPerAxis = Math.ceil((2 * (BOUNDS + cellSize)) / cellSize);
+    const cellCount = cellsPerAxis * cellsPerAxis * cellsPerAxis;
+    const cellStart = new Int32Array(cellCount + 1);
+    const cellOfNode = new Int32Array(nodeCount);
+    const cellFill = new Int32Array(cellCount);
+    const sortedNodes = new Int32Array(nodeCount);
+    const links = new Uint8Array(nodeCount);
+
+    function cellCoord(value) {
+        return Math.min(cellsPerAxis - 1, Math.max(0, Math.floor((value - gridMin) / cellSize)));
+    }
+
+    function buildGrid() {
+        cellStart.fill(0);
+        for (let i = 0; i < active; i++) {
+            const cx = cellCoord(positions[i * 3]);
+            const cy = cellCoord(positions[i * 3 + 1]);
+            const cz = cellCoord(positions[i * 3 + 2]);
+            const cell = (cz * cellsPerAxis + cy) * cellsPerAxis + cx;
+            cellOfNode[i] = cell;
+            cellStart[cell + 1]++;
+        }
+        for (let c = 0; c < cellCount; c++) cellStart[c + 1] += cellStart[c];
+        cellFill.set(cellStart.subarray(0, cellCount));
+        for (let i = 0; i < active; i++) {
+            sortedNodes[cellFill[cellOfNode[i]]++] = i;
+        }
+    }
+
+    const maxDistSq = connectDistance * connectDistance;
+    let lineCount = 0;
+    let active = nodeCount; // Nodes in use, see setDensity
+
+    function addLine(i, j, distSq) {
+        // Fade with distance instead of a hard cutoff
+        const fade = 1 - Math.sqrt(distSq) / connectDistance;
+        const base = lineCount * 6;
+        linePositions[base] = positions[i * 3];
+        linePositions[base + 1] = positions[i * 3 + 1];
+        linePositions[base + 2] = positions[i * 3 + 2];
+        linePositions[base + 3] = positions[j * 3];
+        linePositions[base + 4] = positions[j * 3 + 1];
+        linePositions[base + 5] = positions[j * 3 + 2];
+        lineColors.fill(fade * fade, base, base + 6);
+
+        links[i]++;
+        links[j]++;
+        lineCount++;
+    }
+
+    // Connect node i to close nodes in the 27 surrounding cells
+    function linkNode(i) {
+        const x = positions[i * 3];
+        const y = positions[i * 3 + 1];
+        const z = positions[i * 3 + 2];
+        const cx = cellCoord(x);
+        const cy = cellCoord(y);
+        const cz = cellCoord(z);
+
+        for (let nz = Math.max(0, cz - 1); nz <= Math.min(cellsPerAxis - 1, cz + 1); nz++) {
+            for (let ny = Math.max(0, cy - 1); ny <= Math.min(cellsPerAxis - 1, cy + 1); ny++) {
+                for (let nx = Math.max(0, cx - 1); nx <= Math.min(cellsPerAxis - 1, cx + 1); nx++) {
+                    const cell = (nz * cellsPerAxis + ny) * cellsPerAxis + nx;
+
+                    for (let k = cellStart[cell]; k < cellStart[cell + 1]; k++) {
+                        const j = sortedNodes[k];
+                        if (j <= i || links[j] >= maxLinksPerNode) continue;
+
+                        const dx = x - positions[j * 3];
+                        const dy = y - positions[j * 3 + 1];
+                        const dz = z - positions[j * 3 + 2];
+                        const distSq = dx * dx + dy * dy + dz * dz;
+                        if (distSq >= maxDistSq) continue;
+
+                        addLine(i, j, distSq);
+                        if (lineCount >= maxLines || links[i] >= maxLinksPerNode) return;
+                    }
+                }
+            }
+        }
+    }
+
+    function updateLines() {
+        buildGrid();
+        links.fill(0);
+        lineCount = 0;
+
+        for (let i = 0; i < active && lineCount < maxLines; i++) {
+            if (links[i] < maxLinksPerNode) linkNode(i);
+        }
+
+        linesGeometry.setDrawRange(0, lineCount * 2);
+        linesGeometry.attributes.position.needsUpdate = true;
+        linesGeometry.attributes.color.needsUpdate = true;
+    }
+
+    // `step` is the elapsed time in 60 fps frames
+    function update(step = 1) {
+        // Update positions
+        for (let i = 0; i < active * 3; i++) {
+            positions[i] += velocities[i] * step;
+
+            // Wrap around logic (simple bounce)
+            if (Math.abs(positions[i]) > BOUNDS) velocities[i] *= -1;
+        }
+        nodesGeometry.attributes.position.needsUpdate = true;
+
+        updateLines();
+
+        // Rotate background slowly
+        group.rotation.y += 0.001 * step;
+    }
+
+    // Only draw, move and link a fraction (0..1) of the nodes
+    function setDensity(fraction) {
+        active = Math.round(nodeCount * Math.min(Math.max(fraction, 0), 1));
+        nodesGeometry.setDrawRange(0, active);
+    }
+
+    function dispose() {
+        nodesGeometry.dispose();
+        nodesMaterial.dispose();
+        linesGeometry.dispose();
+        linesMaterial.dispose();
+    }
+
+    return { group, update, setDensity, dispose };
+}
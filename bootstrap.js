@@ -0,0 +1,87 @@
+// --- Bootstrap ---
+// Builds the import map before the app loads: each library comes from the first
+// place in assets.json that answers, local copies in vendor/ first (node
+// tools/fetch-assets.mjs puts them there), then the CDNs. A classic script, since import maps have to
+// be in place before the first module. Without three.js nothing can run, so
+// that ends in an error notice; without MediaPipe the tree starts with the
+// manual controls (see tree.js).
+(function () {
+    const MANIFEST_URL = 'assets.json'; // Versions and candidate URLs, shared with assets.js
+    const PROBE_TIMEOUT_MS = 4000;
+
+    // Fill in the {three} and {mediapipe} version placeholders
+    function expand(url, versions) {
+        return url.replace(/\{(\w+)\}/g, (match, name) => versions[name] || match);
+    }
+
+    function reachable(url) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), PROBE_TIMEOUT_MS);
+        return fetch(url, { method: 'HEAD', signal: controller.signal })
+            .then((response) => response.ok)
+            .catch(() => false)
+            .finally(() => clearTimeout(timer));
+    }
+
+    // `probe` is a file that must exist under a directory import
+    async function firstReachable(candidates, probe = '') {
+        for (const url of candidates) {
+            if (await reachable(url + probe)) return url;
+        }
+        return null;
+    }
+
+    function showError(message) {
+        const app = document.getElementById('app');
+        const notice = document.createElement('div');
+        notice.className = 'tree-loading tree-error';
+        notice.setAttribute('role', 'alert');
+        const text = document.createElement('span');
+        text.textContent = message;
+        const reload = document.createElement('button');
+        reload.type = 'button';
+        reload.textContent = 'Try again';
+        reload.addEventListener('click', () => window.location.reload());
+        notice.append(text, reload);
+        app.replaceChildren(notice);
+    }
+
+    async function start() {
+        let manifest;
+        try {
+            manifest = await (await fetch(MANIFEST_URL)).json();
+        } catch (error) {
+            showError(`${MANIFEST_URL} could not be loaded.`);
+            return;
+        }
+        // Candidates per import, tried in order
+        const candidates = {};
+        Object.keys(manifest.imports).forEach((name) => {
+            candidates[name] = manifest.imports[name].map((url) => expand(url, manifest.versions));
+        });
+
+        const names = Object.keys(candidates);
+        const urls = await Promise.all(names.map((name) => firstReachable(candidates[name], manifest.probes[name])));
+        const imports = {};
+        names.forEach((name, i) => {
+            // A missing MediaPipe keeps its last candidate, so its import fails where it's handled
+            imports[name] = urls[i] || candidates[name][candidates[name].length - 1];
+        });
+        if (!urls[names.indexOf('three')] || !urls[names.indexOf('three/addons/')]) {
+            showError('three.js could not be loaded. Check the connection or put a copy in vendor/ (node tools/fetch-assets.mjs).');
+            return;
+        }
+
+        const map = document.createElement('script');
+        map.type = 'importmap';
+        map.textContent = JSON.stringify({ imports });
+        document.head.appendChild(map);
+
+        const app = document.createElement('script');
+        app.type = 'module';
+        app.src = 'script.js';
+        document.body.appendChild(app);
+    }
+
+    start();
+})();
@@ -0,0 +1,173 @@
+// --- Capture ---
+// Video (WebM) and still (PNG) export. Only the WebGL canvas is captured, so the
+// DOM overlays (webcam preview, status, loading) never end up in the output.
+import { createWebmMuxer } from './webm.js';
+
+const VIDEO_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+export function downloadBlob(blob, filename) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    // Revoking right away can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+// VideoEncoder codecs for the fixed-step path, best first
+const ENCODER_CODECS = [
+    { codec: 'vp09.00.10.08', webm: 'vp9' },
+    { codec: 'vp8', webm: 'vp8' }
+];
+
+// Records the canvas to WebM. With WebCodecs, every frame() is encoded with its
+// own timestamp (frame n at n / fps) and muxed by webm.js: the scene advances a
+// fixed step per frame (`fixedStep` is true) and the video is smooth and at the
+// right speed however slowly it was rendered. Without WebCodecs, MediaRecorder
+// records in real time, stamping frames by the wall clock; the scene must then
+// run in real time too, and the video drops frames when rendering can't keep up.
+export function createVideoRecorder(canvas, options = {}) {
+    const { bitsPerSecond = 20000000, keyFrameSeconds = 2 } = options;
+    let fps = 60;
+    let starting = false;
+
+    // Fixed step (WebCodecs)
+    let encoder = null;
+    let muxer = null;
+    let frameIndex = 0;
+    let encoderError = null;
+
+    // Real time (MediaRecorder)
+    let recorder = null;
+    let track = null;
+    let chunks = [];
+
+    async function findEncoderConfig(width, height) {
+        if (typeof VideoEncoder === 'undefined') return null;
+        for (const candidate of ENCODER_CODECS) {
+            const config = { codec: candidate.codec, width, height, bitrate: bitsPerSecond, framerate: fps };
+            try {
+                if ((await VideoEncoder.isConfigSupported(config)).supported) return { config, webm: candidate.webm };
+            } catch (error) {
+                // Not this one, try the next
+            }
+        }
+        return null;
+    }
+
+    function startEncoder({ config, webm }) {
+        muxer = createWebmMuxer({ width: config.width, height: config.height, codec: webm });
+        frameIndex = 0;
+        encoderError = null;
+        encoder = new VideoEncoder({
+            output: (chunk) => {
+                const data = new Uint8Array(chunk.byteLength);
+                chunk.copyTo(data);
+                muxer.addFrame(data, chunk.timestamp / 1000, chunk.type === 'key');
+            },
+            error: (error) => {
+                encoderError = error;
+            }
+        });
+        encoder.configure(config);
+    }
+
+    function startRecorder() {
+        const mimeType = VIDEO_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+        const stream = canvas.captureStream(fps);
+        track = stream.getVideoTracks()[0];
+        chunks = [];
+        recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: bitsPerSecond });
+        recorder.ondataavailable = (event) => {
+            if (event.data.size > 0) chunks.push(event.data);
+        };
+        recorder.start(1000);
+    }
+
+    async function stopEncoder() {
+        const active = encoder;
+        encoder = null;
+        try {
+            await active.flush();
+        } finally {
+            active.close();
+        }
+        if (encoderError) throw encoderError;
+        const blob = new Blob(muxer.finish((frameIndex * 1000) / fps), { type: 'video/webm' });
+        muxer = null;
+        return blob;
+    }
+
+    function stopRecorder() {
+        return new Promise((resolve) => {
+            const active = recorder;
+            active.onstop = () => {
+                track.stop();
+                resolve(new Blob(chunks, { type: active.mimeType || 'video/webm' }));
+            };
+            active.stop();
+            recorder = null;
+        });
+    }
+
+    return {
+        get recording() {
+            return starting || encoder !== null || (recorder !== null && recorder.state === 'recording');
+        },
+        // Whether the scene should advance by exactly 1 / fps per frame()
+        get fixedStep() {
+            return encoder !== null;
+        },
+        // Resolves once recording runs, with `fps` frames per second of video
+        async start(rate = 60) {
+            fps = rate;
+            starting = true;
+            try {
+                const found = await findEncoderConfig(canvas.width, canvas.height);
+                if (found) startEncoder(found);
+                else startRecorder();
+            } finally {
+                starting = false;
+            }
+        },
+        // Call right after rendering a frame
+        frame() {
+            if (!encoder || encoderError) return;
+            const frame = new VideoFrame(canvas, {
+                timestamp: Math.round((frameIndex * 1000000) / fps),
+                duration: Math.round(1000000 / fps)
+            });
+            encoder.encode(frame, { keyFrame: frameIndex % Math.max(1, Math.round(fps * keyFrameSeconds)) === 0 });
+            frame.close();
+            frameIndex++;
+        },
+        // Resolves with the finished WebM blob (null if nothing was recording)
+        stop() {
+            if (encoder) return stopEncoder();
+            if (recorder) return stopRecorder();
+            return Promise.resolve(null);
+        }
+    };
+}
+
+function dataUrlToBlob(dataUrl) {
+    const [header, base64] = dataUrl.split(',');
+    const bytes = atob(base64);
+    const array = new Uint8Array(bytes.length);
+    for (let i = 0; i < bytes.length; i++) array[i] = bytes.charCodeAt(i);
+    return new Blob([array], { type: header.slice(5, header.indexOf(';')) });
+}
+
+// Renders a single frame at width x height and returns it as a PNG blob.
+// hooks: { resize(width, height), restore(), render() }. The canvas keeps its
+// on-page size (only the drawing buffer changes) and is restored before the
+// browser paints, so the resize never shows.
+export function renderStill(canvas, width, height, hooks) {
+    hooks.resize(width, height);
+    hooks.render();
+    // Read back synchronously, before the drawing buffer is presented and cleared
+    const dataUrl = canvas.toDataURL('image/png');
+    hooks.restore();
+    hooks.render();
+    return dataUrlToBlob(dataUrl);
+}
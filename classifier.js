@@ -0,0 +1,171 @@
+import { GESTURES, TWO_HAND_GESTURES } from './gestures.js';
+
+// --- Custom Gestures ---
+// Gestures trained by example: a few recorded hand poses per gesture and a
+// k-nearest-neighbor vote. Poses are normalized first (wrist at the origin,
+// scaled by the hand size, left hands mirrored onto right ones), so the hand's
+// place in the frame and its distance from the camera don't matter, but its
+// orientation does (thumbs up and thumbs down are different gestures).
+// No DOM, so models can be trained and checked in Node.
+
+export const GESTURE_MODEL_VERSION = 1;
+
+// What a custom gesture does. `value` is a formation name, a text, a theme name, or unused.
+export const ACTION_TYPES = ['formation', 'text', 'theme', 'snapshot'];
+
+export const DEFAULT_CLASSIFIER_OPTIONS = {
+    k: 3,                  // Neighbors that vote
+    maxDistance: 1.5,      // Poses further than this from every sample are no gesture at all
+    maxSamples: 50         // Per gesture; the oldest are dropped
+};
+
+const RESERVED_NAMES = GESTURES.concat(TWO_HAND_GESTURES);
+const WRIST = 0;
+const MIDDLE_BASE = 9;
+
+// 21 landmarks -> 63 numbers
+export function normalizeLandmarks(landmarks, handedness = 'Right') {
+    const wrist = landmarks[WRIST];
+    const base = landmarks[MIDDLE_BASE];
+    const size = Math.hypot(base.x - wrist.x, base.y - wrist.y, (base.z || 0) - (wrist.z || 0)) || 1e-6;
+    const mirror = handedness === 'Left' ? -1 : 1;
+    const pose = new Array(landmarks.length * 3);
+    landmarks.forEach((point, i) => {
+        pose[i * 3] = ((point.x - wrist.x) / size) * mirror;
+        pose[i * 3 + 1] = (point.y - wrist.y) / size;
+        pose[i * 3 + 2] = ((point.z || 0) - (wrist.z || 0)) / size;
+    });
+    return pose;
+}
+
+function poseDistance(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += (a[i] - b[i]) * (a[i] - b[i]);
+    return Math.sqrt(sum);
+}
+
+export function checkGestureName(name) {
+    const trimmed = String(name || '').trim();
+    if (trimmed === '') throw new Error('A gesture needs a name');
+    if (trimmed.length > 30) throw new Error('Gesture names are at most 30 characters');
+    if (RESERVED_NAMES.includes(trimmed.toUpperCase())) throw new Error(`${trimmed} is a built-in gesture`);
+    return trimmed;
+}
+
+export function checkAction(action) {
+    if (!action || !ACTION_TYPES.includes(action.type)) throw new Error(`Unknown action: ${action && action.type}`);
+    return { type: action.type, value: action.value === undefined ? '' : String(action.value) };
+}
+
+// Check an exported model (see toJSON below). Returns a clean copy.
+export function parseGestureModel(data) {
+    if (!data || !Array.isArray(data.gestures)) throw new Error('Not a gesture file');
+    if (data.version !== GESTURE_MODEL_VERSION) throw new Error(`Unsupported gesture file version: ${data.version}`);
+    return {
+        version: GESTURE_MODEL_VERSION,
+        replaceBuiltIn: Boolean(data.replaceBuiltIn),
+        gestures: data.gestures.map((gesture) => {
+            const samples = (gesture.samples || []).filter((sample) =>
+                Array.isArray(sample) && sample.length === 63 && sample.every(Number.isFinite));
+            return { name: checkGestureName(gesture.name), action: checkAction(gesture.action), samples };
+        })
+    };
+}
+
+export function createGestureModel(data = null, options = {}) {
+    const opts = { ...DEFAULT_CLASSIFIER_OPTIONS, ...options };
+    let gestures = new Map(); // name -> { action, samples }
+    let replaceBuiltIn = false;
+
+    function load(model) {
+        const parsed = parseGestureModel(model);
+        gestures = new Map(parsed.gestures.map(({ name, action, samples }) => [name, { action, samples }]));
+        replaceBuiltIn = parsed.replaceBuiltIn;
+    }
+    if (data) load(data);
+
+    return {
+        // Names of the gestures that have samples (the ones classify() can return)
+        get names() {
+            return Array.from(gestures.keys()).filter((name) => gestures.get(name).samples.length > 0);
+        },
+        get size() {
+            return gestures.size;
+        },
+        // With true, the built-in gestures are switched off (once any custom one is trained)
+        get replaceBuiltIn() {
+            return replaceBuiltIn;
+        },
+        set replaceBuiltIn(value) {
+            replaceBuiltIn = Boolean(value);
+        },
+        // [{ name, action, samples (count) }]
+        list() {
+            return Array.from(gestures, ([name, gesture]) => ({
+                name, action: { ...gesture.action }, samples: gesture.samples.length
+            }));
+        },
+        has: (name) => gestures.has(name),
+        addSample(name, landmarks, handedness) {
+            const key = checkGestureName(name);
+            if (!gestures.has(key)) gestures.set(key, { action: { type: 'formation', value: 'TREE' }, samples: [] });
+            const samples = gestures.get(key).samples;
+            samples.push(normalizeLandmarks(landmarks, handedness));
+            if (samples.length > opts.maxSamples) samples.shift();
+            return samples.length;
+        },
+        setAction(name, action) {
+            if (!gestures.has(name)) throw new Error(`Unknown gesture: ${name}`);
+            gestures.get(name).action = checkAction(action);
+        },
+        getAction(name) {
+            const gesture = gestures.get(name);
+            return gesture ? { ...gesture.action } : null;
+        },
+        remove(name) {
+            gestures.delete(name);
+        },
+        clear() {
+            gestures.clear();
+            replaceBuiltIn = false;
+        },
+        // Nearest trained gesture for one hand: { gesture (name or null), confidence 0..1 }
+        classify(landmarks, handedness) {
+            const pose = normalizeLandmarks(landmarks, handedness);
+            const nearest = [];
+            gestures.forEach((gesture, name) => {
+                gesture.samples.forEach((sample) => {
+                    nearest.push({ name, distance: poseDistance(pose, sample) });
+                });
+            });
+            if (nearest.length === 0) return { gesture: null, confidence: 0 };
+            nearest.sort((a, b) => a.distance - b.distance);
+
+            // Majority of the k nearest; on a tie the nearest sample decides
+            const voters = nearest.slice(0, opts.k);
+            const votes = new Map();
+            voters.forEach(({ name }) => votes.set(name, (votes.get(name) || 0) + 1));
+            let winner = voters[0].name;
+            votes.forEach((count, name) => {
+                if (count > votes.get(winner)) winner = name;
+            });
+
+            const closest = voters.find((voter) => voter.name === winner).distance;
+            const closeness = Math.max(0, 1 - (closest / opts.maxDistance) ** 2);
+            if (closeness === 0) return { gesture: null, confidence: 0 };
+            return { gesture: winner, confidence: (votes.get(winner) / voters.length) * closeness };
+        },
+        toJSON() {
+            return {
+                version: GESTURE_MODEL_VERSION,
+                replaceBuiltIn: replaceBuiltIn,
+                gestures: Array.from(gestures, ([name, gesture]) => ({
+                    name,
+                    action: gesture.action,
+                    samples: gesture.samples.map((sample) => sample.map((v) => Math.round(v * 1e4) / 1e4))
+                }))
+            };
+        },
+        load
+    };
+}
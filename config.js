@@ -0,0 +1,253 @@
+// --- Configuration ---
+// Typed schema for everything that shapes the scene. Values come from the
+// defaults, then localStorage, then the URL, and are checked and coerced here,
+// so the rest of the code can trust them. No DOM, so it also runs in Node.
+import { THEMES, THEME_NAMES } from './lights.js';
+import { WEATHER_NAMES } from './weather.js';
+
+export const CONFIG_VERSION = 1;
+
+// `rebuild` names the part of the scene that has to be rebuilt when the value changes
+export const CONFIG_SCHEMA = {
+    particles: {
+        type: 'int', default: 3000, min: 100, max: 200000,
+        label: 'Particles', group: 'Particles', rebuild: 'particles'
+    },
+    letters: {
+        type: 'letters', default: ['A', 'I', 'C'],
+        label: 'Letters', group: 'Particles', rebuild: 'particles'
+    },
+    palette: {
+        type: 'palette',
+        default: THEMES.classic.palette,
+        label: 'Colors', group: 'Particles', rebuild: 'palette'
+    },
+    treeHeight: {
+        type: 'number', default: 40, min: 10, max: 100, step: 1,
+        label: 'Tree height', group: 'Shapes', rebuild: 'formations'
+    },
+    treeRadius: {
+        type: 'number', default: 15, min: 3, max: 50, step: 1,
+        label: 'Tree radius', group: 'Shapes', rebuild: 'formations'
+    },
+    explosionRadius: {
+        type: 'number', default: 80, min: 10, max: 200, step: 1,
+        label: 'Explosion radius', group: 'Shapes', rebuild: 'formations'
+    },
+    // Dropped images and webcam frames (the IMAGE formation, see image.js)
+    imageWeighting: {
+        type: 'number', default: 1, min: 0, max: 1, step: 0.05,
+        label: 'Image brightness density', group: 'Shapes', rebuild: 'formations'
+    },
+    imageRelief: {
+        type: 'number', default: 0, min: 0, max: 30, step: 1,
+        label: 'Image relief', group: 'Shapes', rebuild: 'formations'
+    },
+    bloomStrength: {
+        type: 'number', default: 1.2, min: 0, max: 3, step: 0.05,
+        label: 'Glow strength', group: 'Bloom', rebuild: 'bloom'
+    },
+    bloomRadius: {
+        type: 'number', default: 0.5, min: 0, max: 1, step: 0.05,
+        label: 'Glow radius', group: 'Bloom', rebuild: 'bloom'
+    },
+    bloomThreshold: {
+        type: 'number', default: 0.1, min: 0, max: 1, step: 0.05,
+        label: 'Glow threshold', group: 'Bloom', rebuild: 'bloom'
+    },
+    // Picking a theme also switches to its palette (except 'brand', which uses the palette)
+    theme: {
+        type: 'choice', default: 'classic', options: THEME_NAMES,
+        label: 'Theme', group: 'Lights', rebuild: 'palette'
+    },
+    twinkle: {
+        type: 'number', default: 0.6, min: 0, max: 1, step: 0.05,
+        label: 'Twinkle', group: 'Lights', rebuild: 'lighting'
+    },
+    chase: {
+        type: 'number', default: 0.8, min: 0, max: 3, step: 0.1,
+        label: 'Chase speed', group: 'Lights', rebuild: 'lighting'
+    },
+    strands: {
+        type: 'int', default: 4, min: 0, max: 12,
+        label: 'Light strands', group: 'Lights', rebuild: 'lights'
+    },
+    ornaments: {
+        type: 'int', default: 16, min: 0, max: 60,
+        label: 'Ornaments', group: 'Lights', rebuild: 'lights'
+    },
+    snowCount: {
+        type: 'int', default: 1000, min: 0, max: 20000,
+        label: 'Snowflakes', group: 'Scene', rebuild: 'snow'
+    },
+    // Scales the snowflakes too: from a quarter of them (calm) to three times as many (blizzard)
+    weather: {
+        type: 'choice', default: 'moderate', options: WEATHER_NAMES,
+        label: 'Weather', group: 'Scene', rebuild: 'weather'
+    },
+    snowMelt: {
+        type: 'number', default: 15, min: 2, max: 120, step: 1,
+        label: 'Snow melts after (s)', group: 'Scene', rebuild: 'weather'
+    },
+    bgNodes: {
+        type: 'int', default: 2000, min: 0, max: 10000,
+        label: 'Background nodes', group: 'Scene', rebuild: 'background'
+    }
+};
+
+export const CONFIG_KEYS = Object.keys(CONFIG_SCHEMA);
+
+export function defaultConfig() {
+    const config = {};
+    CONFIG_KEYS.forEach((key) => {
+        config[key] = structuredClone(CONFIG_SCHEMA[key].default);
+    });
+    return config;
+}
+
+// Single characters (emoji included), whitespace dropped
+export function splitLetters(text) {
+    const parts = typeof Intl !== 'undefined' && Intl.Segmenter
+        ? Array.from(new Intl.Segmenter(undefined, { granularity: 'grapheme' }).segment(text), (s) => s.segment)
+        : Array.from(text);
+    return parts.filter((part) => part.trim() !== '');
+}
+
+function parseColor(value) {
+    const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(value).trim());
+    if (!match) throw new Error(`Invalid color: ${value}`);
+    let hex = match[1].toLowerCase();
+    if (hex.length === 3) hex = hex.split('').map((c) => c + c).join('');
+    return '#' + hex;
+}
+
+// Palettes are lists of colors or { color, weight }. In the URL: "00ff00:0.63,ffd700,ff0000:0.1"
+function parsePalette(value) {
+    const entries = typeof value === 'string' ? value.split(',') : value;
+    if (!Array.isArray(entries) || entries.length === 0) throw new Error('A palette needs at least one color');
+    return entries.map((entry) => {
+        if (typeof entry === 'string') {
+            const [color, weight] = entry.split(':');
+            entry = { color: color, weight: weight === undefined ? 1 : weight };
+        }
+        const weight = entry.weight === undefined ? 1 : Number(entry.weight);
+        if (!(weight >= 0)) throw new Error(`Invalid color weight: ${entry.weight}`);
+        return { color: parseColor(entry.color), weight: weight };
+    });
+}
+
+const parsers = {
+    int(value, spec) {
+        return Math.round(parsers.number(value, spec));
+    },
+    number(value, spec) {
+        const number = Number(value);
+        if (value === '' || value === null || !Number.isFinite(number)) throw new Error(`Not a number: ${value}`);
+        return Math.min(Math.max(number, spec.min), spec.max);
+    },
+    letters(value) {
+        const letters = Array.isArray(value) ? value.map(String).filter((s) => s.trim() !== '') : splitLetters(String(value));
+        if (letters.length === 0) throw new Error('At least one letter is needed');
+        return letters;
+    },
+    palette: parsePalette,
+    choice(value, spec) {
+        if (!spec.options.includes(value)) throw new Error(`Expected one of ${spec.options.join(', ')}, got ${value}`);
+        return value;
+    }
+};
+
+const encoders = {
+    int: String,
+    number: String,
+    letters: (letters) => letters.join(''),
+    palette: (palette) => palette.map(({ color, weight }) =>
+        (weight === 1 ? color.slice(1) : `${color.slice(1)}:${weight}`)).join(','),
+    choice: String
+};
+
+// Check and coerce one value. Throws with the setting's name in the message.
+export function parseValue(key, value) {
+    const spec = CONFIG_SCHEMA[key];
+    if (!spec) throw new Error(`Unknown setting: ${key}`);
+    try {
+        return parsers[spec.type](value, spec);
+    } catch (error) {
+        throw new Error(`${spec.label}: ${error.message}`);
+    }
+}
+
+// Coerce a partial config. Unknown keys are dropped; invalid values throw,
+// unless `lenient`, which skips them (for storage and URLs that may be stale).
+export function normalizeConfig(partial, lenient = false) {
+    const config = {};
+    if (!partial || typeof partial !== 'object') return config;
+    CONFIG_KEYS.forEach((key) => {
+        if (partial[key] === undefined) return;
+        try {
+            config[key] = parseValue(key, partial[key]);
+        } catch (error) {
+            if (!lenient) throw error;
+            console.warn(`Ignoring setting: ${error.message}`);
+        }
+    });
+    return config;
+}
+
+// A theme brings its palette along, unless the same source gives a palette too
+function withThemePalette(partial) {
+    if (partial.theme !== undefined && partial.palette === undefined && THEMES[partial.theme]) {
+        partial.palette = structuredClone(THEMES[partial.theme].palette);
+    }
+    return partial;
+}
+
+// The palette that goes without saying: the theme's own, or the default
+function impliedPalette(config) {
+    return THEMES[config.theme] ? THEMES[config.theme].palette : CONFIG_SCHEMA.palette.default;
+}
+
+// Defaults overridden by each source in turn (lenient)
+export function resolveConfig(...sources) {
+    return Object.assign(defaultConfig(), ...sources.map((source) => withThemePalette(normalizeConfig(source, true))));
+}
+
+export function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Whether a setting has to be written down to be restored by resolveConfig
+function isImplied(config, key) {
+    const implied = key === 'palette' ? impliedPalette(config) : CONFIG_SCHEMA[key].default;
+    return sameValue(config[key], implied);
+}
+
+// Only the settings that differ from the defaults (the palette: from the theme's)
+export function configDiff(config) {
+    const diff = {};
+    CONFIG_KEYS.forEach((key) => {
+        if (!isImplied(config, key)) diff[key] = config[key];
+    });
+    return diff;
+}
+
+// Raw values for every setting present in URLSearchParams
+export function configFromParams(params) {
+    const partial = {};
+    CONFIG_KEYS.forEach((key) => {
+        if (params.has(key)) partial[key] = params.get(key);
+    });
+    return partial;
+}
+
+// Write non-default settings into URLSearchParams (and remove default ones)
+export function writeConfigParams(config, params) {
+    CONFIG_KEYS.forEach((key) => {
+        if (isImplied(config, key)) {
+            params.delete(key);
+        } else {
+            params.set(key, encoders[CONFIG_SCHEMA[key].type](config[key]));
+        }
+    });
+    return params;
+}
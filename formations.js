@@ -0,0 +1,54 @@
+import * as shapes from './geometry.js';
+import { getTextPositions } from './text.js';
+
+// --- Formation Registry ---
+// A formation is a named generator: (count, context) => Float32Array(count * 3).
+// `context` carries scene parameters (tree size, view size, text, seeded `random` ...),
+// so adding a mode only means registering a generator; the render loop never changes.
+// Generators that bring their own colors (e.g. images) return { positions, colors }
+// instead, both Float32Array(count * 3); the palette returns when another one is shown.
+
+// Text needs a canvas for rasterizing, so it lives outside the DOM-free geometry module
+function text(count, context) {
+    return getTextPositions(context.text, count, {
+        maxWidth: context.view.width * 0.8,
+        maxHeight: context.view.height * 0.8,
+        ...context.textOptions
+    }, context.random);
+}
+
+// --- Registry ---
+export function createFormationRegistry() {
+    const generators = new Map();
+
+    const registry = {
+        // Register (or replace) a formation generator
+        register(name, generator) {
+            generators.set(name, generator);
+            return registry;
+        },
+        has(name) {
+            return generators.has(name);
+        },
+        names() {
+            return Array.from(generators.keys());
+        },
+        generate(name, count, context) {
+            const generator = generators.get(name);
+            if (!generator) throw new Error(`Unknown formation: ${name}`);
+            return generator(count, context);
+        }
+    };
+
+    registry
+        .register('TREE', shapes.tree)
+        .register('EXPLODE', shapes.explode)
+        .register('SPHERE', shapes.sphere)
+        .register('TEXT', text)
+        .register('STAR', shapes.star)
+        .register('HEART', shapes.heart)
+        .register('SNOWFLAKE', shapes.snowflake)
+        .register('GIFT', shapes.gift)
+        .register('GALAXY', shapes.galaxy);
+    return registry;
+}
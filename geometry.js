@@ -0,0 +1,348 @@
+// --- Geometry ---
+// Shape math for all formations. No DOM and no Three.js, so layouts can be
+// generated (and snapshot-tested) in Node; randomness comes from a seeded PRNG.
+
+// Uniform random point on a sphere surface
+function randomOnSphere(radius, random) {
+    const theta = random() * Math.PI * 2;
+    const phi = Math.acos((random() * 2) - 1);
+    return [
+        radius * Math.sin(phi) * Math.cos(theta),
+        radius * Math.sin(phi) * Math.sin(theta),
+        radius * Math.cos(phi)
+    ];
+}
+
+// --- Formation Generators ---
+// All take (count, context) and return Float32Array(count * 3); context.random is the PRNG.
+
+// Turns of the tree spiral. Particle i sits at t = i / count along it (lights.js relies on this).
+export const TREE_TURNS = 20;
+
+export function tree(count, context) {
+    const { treeHeight, treeRadius, random } = context;
+    const positions = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) {
+        const t = i / count;
+        const angle = t * Math.PI * 2 * TREE_TURNS;
+        const radius = (1 - t) * treeRadius;
+        const r = radius + (random() - 0.5) * 2;
+
+        positions[i * 3] = Math.cos(angle) * r;
+        positions[i * 3 + 1] = t * treeHeight - (treeHeight / 2);
+        positions[i * 3 + 2] = Math.sin(angle) * r;
+    }
+    return positions;
+}
+
+export function explode(count, context) {
+    const random = context.random;
+    const positions = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) {
+        const p = randomOnSphere(random() * context.explosionRadius, random);
+        positions.set(p, i * 3);
+    }
+    return positions;
+}
+
+export function sphere(count, context) {
+    const random = context.random;
+    const positions = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) {
+        positions.set(randomOnSphere(25, random), i * 3);
+    }
+    return positions;
+}
+
+// Five-pointed star, thicker in the middle
+export function star(count, context) {
+    const random = context.random;
+    const points = 5;
+    const outer = 22;
+    const inner = 9;
+    const positions = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) {
+        // Pick a random point inside one of the 10 triangles fanning out from the center
+        const segment = Math.floor(random() * points * 2);
+        const a0 = (segment / (points * 2)) * Math.PI * 2 + Math.PI / 2;
+        const a1 = ((segment + 1) / (points * 2)) * Math.PI * 2 + Math.PI / 2;
+        const r0 = segment % 2 === 0 ? outer : inner;
+        const r1 = segment % 2 === 0 ? inner : outer;
+
+        let u = random();
+        let v = random();
+        if (u + v > 1) { u = 1 - u; v = 1 - v; }
+        const x = u * Math.cos(a0) * r0 + v * Math.cos(a1) * r1;
+        const y = u * Math.sin(a0) * r0 + v * Math.sin(a1) * r1;
+        const thickness = 4 * (1 - Math.hypot(x, y) / outer);
+
+        positions[i * 3] = x;
+        positions[i * 3 + 1] = y;
+        positions[i * 3 + 2] = (random() - 0.5) * thickness;
+    }
+    return positions;
+}
+
+// Shell of the implicit heart surface (x² + 9/4 y² + z² - 1)³ - x² z³ - 9/80 y² z³ = 0
+export function heart(count, context) {
+    const random = context.random;
+    const scale = 14;
+    const positions = new Float32Array(count * 3);
+    let i = 0;
+    while (i < count) {
+        const x = (random() - 0.5) * 3;
+        const y = (random() - 0.5) * 3;
+        const z = (random() - 0.5) * 3;
+        const a = x * x + 2.25 * y * y + z * z - 1;
+        const f = a * a * a - x * x * z * z * z - 0.1125 * y * y * z * z * z;
+        if (f < 0 && f > -0.15) {
+            // The formula has z pointing up; the scene uses y
+            positions[i * 3] = x * scale;
+            positions[i * 3 + 1] = z * scale;
+            positions[i * 3 + 2] = y * scale;
+            i++;
+        }
+    }
+    return positions;
+}
+
+// Six arms with side branches, sampled along the strokes
+export function snowflake(count, context) {
+    const random = context.random;
+    const armLength = 24;
+    const strokes = [];
+    for (let arm = 0; arm < 6; arm++) {
+        const angle = (arm / 6) * Math.PI * 2;
+        strokes.push({ angle: angle, start: 0, length: armLength });
+        [0.35, 0.6, 0.8].forEach((at, k) => {
+            const length = armLength * (0.35 - k * 0.08);
+            strokes.push({ angle: angle + Math.PI / 3, start: armLength * at, length: length, base: angle });
+            strokes.push({ angle: angle - Math.PI / 3, start: armLength * at, length: length, base: angle });
+        });
+    }
+    const totalLength = strokes.reduce((sum, s) => sum + s.length, 0);
+
+    const positions = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) {
+        // Pick a stroke weighted by its length
+        let pick = random() * totalLength;
+        let stroke = strokes[0];
+        for (const s of strokes) {
+            stroke = s;
+            pick -= s.length;
+            if (pick <= 0) break;
+        }
+        const along = random() * stroke.length;
+        const base = stroke.base === undefined ? stroke.angle : stroke.base;
+        const originX = Math.cos(base) * stroke.start;
+        const originY = Math.sin(base) * stroke.start;
+
+        positions[i * 3] = originX + Math.cos(stroke.angle) * along + (random() - 0.5) * 1.2;
+        positions[i * 3 + 1] = originY + Math.sin(stroke.angle) * along + (random() - 0.5) * 1.2;
+        positions[i * 3 + 2] = (random() - 0.5) * 1.5;
+    }
+    return positions;
+}
+
+// Box surface with a ribbon bow on top
+export function gift(count, context) {
+    const random = context.random;
+    const half = 12;
+    const positions = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) {
+        let x, y, z;
+        if (random() < 0.85) {
+            // Random face of the cube (all faces have the same area)
+            const face = Math.floor(random() * 6);
+            const u = (random() * 2 - 1) * half;
+            const v = (random() * 2 - 1) * half;
+            const side = face % 2 === 0 ? half : -half;
+            if (face < 2) { x = side; y = u; z = v; }
+            else if (face < 4) { x = u; y = side; z = v; }
+            else { x = u; y = v; z = side; }
+        } else {
+            // Two loops of the bow
+            const loop = random() < 0.5 ? -1 : 1;
+            const a = random() * Math.PI * 2;
+            x = loop * (5 + Math.cos(a) * 5);
+            y = half + 3 + Math.sin(a) * 3;
+            z = (random() - 0.5) * 2;
+        }
+        positions[i * 3] = x;
+        positions[i * 3 + 1] = y - 4; // Keep the bow in view
+        positions[i * 3 + 2] = z;
+    }
+    return positions;
+}
+
+// Spiral galaxy with a bright bulge, tilted towards the camera
+export function galaxy(count, context) {
+    const random = context.random;
+    const arms = 3;
+    const radius = 35;
+    const tilt = 0.5;
+    const positions = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) {
+        const r = radius * Math.pow(random(), 1.5); // Denser towards the center
+        const arm = Math.floor(random() * arms);
+        const angle = (arm / arms) * Math.PI * 2 + r * 0.12 + (random() - 0.5) * (0.6 + 6 / (r + 2));
+        const thickness = 6 * Math.exp(-r / 8) + 0.5;
+
+        const x = Math.cos(angle) * r;
+        const z = Math.sin(angle) * r;
+        const y = (random() - 0.5) * thickness;
+
+        positions[i * 3] = x;
+        positions[i * 3 + 1] = y * Math.cos(tilt) + z * Math.sin(tilt);
+        positions[i * 3 + 2] = -y * Math.sin(tilt) + z * Math.cos(tilt);
+    }
+    return positions;
+}
+
+// --- Mask Sampling (text and images) ---
+// Sample points on a hexagonal-ish grid over the mask so they are evenly spaced.
+function gridSample(mask, width, height, spacing) {
+    const points = [];
+    let row = 0;
+    for (let y = spacing / 2; y < height; y += spacing, row++) {
+        const offset = (row % 2) * spacing / 2; // Stagger rows to avoid visible columns
+        for (let x = spacing / 2 + offset; x < width; x += spacing) {
+            if (mask[Math.floor(y) * width + Math.floor(x)]) {
+                points.push(x, y);
+            }
+        }
+    }
+    return points;
+}
+
+// Pick exactly `count` evenly spread points (in pixel space) from the mask.
+export function sampleMask(mask, width, height, count) {
+    let filled = 0;
+    for (let i = 0; i < mask.length; i++) filled += mask[i];
+    if (filled === 0 || count === 0) return null;
+
+    // Start with the spacing that would give `count` points over the filled area,
+    // then tighten until the grid yields enough of them.
+    let spacing = Math.sqrt(filled / count);
+    let points = gridSample(mask, width, height, spacing);
+    for (let attempt = 0; attempt < 8 && points.length / 2 < count; attempt++) {
+        const ratio = points.length > 0 ? Math.sqrt((points.length / 2) / count) : 0.5;
+        spacing *= Math.min(ratio, 0.98);
+        points = gridSample(mask, width, height, spacing);
+    }
+
+    // Thin out evenly (or repeat, if the glyphs are too small) to match count
+    const available = points.length / 2;
+    const result = new Float32Array(count * 2);
+    for (let i = 0; i < count; i++) {
+        const p = available >= count ? Math.floor(i * available / count) : i % available;
+        result[i * 2] = points[p * 2];
+        result[i * 2 + 1] = points[p * 2 + 1];
+    }
+    return result;
+}
+
+// Turn a 1-byte-per-pixel mask into `count` world positions centered on the drawn area.
+// options: { scale (world units per pixel), maxWidth, maxHeight, depth }
+export function layoutMask(mask, width, height, count, options, random) {
+    const positions = new Float32Array(count * 3);
+    const samples = sampleMask(mask, width, height, count);
+    if (!samples) return positions; // Nothing drawn (e.g. empty string)
+
+    // Bounding box of the drawn pixels, so the shape is centered on its ink
+    let minX = width, minY = height, maxX = 0, maxY = 0;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (mask[y * width + x]) {
+                if (x < minX) minX = x;
+                if (x > maxX) maxX = x;
+                if (y < minY) minY = y;
+                if (y > maxY) maxY = y;
+            }
+        }
+    }
+    const inkWidth = maxX - minX + 1;
+    const inkHeight = maxY - minY + 1;
+    const centerX = (minX + maxX + 1) / 2;
+    const centerY = (minY + maxY + 1) / 2;
+
+    // Requested scale, shrunk if the shape would not fit the box
+    const scale = Math.min(options.scale, options.maxWidth / inkWidth, options.maxHeight / inkHeight);
+
+    for (let i = 0; i < count; i++) {
+        positions[i * 3] = (samples[i * 2] - centerX) * scale;
+        positions[i * 3 + 1] = -(samples[i * 2 + 1] - centerY) * scale; // Flip y
+        positions[i * 3 + 2] = (random() - 0.5) * options.depth;
+    }
+    return positions;
+}
+
+// --- Image Sampling ---
+// Pixels are RGBA bytes (as from getImageData), in sRGB.
+
+function luminance(pixels, p) {
+    return (0.2126 * pixels[p] + 0.7152 * pixels[p + 1] + 0.0722 * pixels[p + 2]) / 255;
+}
+
+// The particle shader works in linear colors (like THREE.Color)
+function srgbToLinear(byte) {
+    const c = byte / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+// Turn an image into `count` world positions and their colors. Particles land on
+// pixels with a chance proportional to opacity and (by `weighting`) brightness,
+// so bright areas come out dense and transparent ones stay empty; each takes its
+// pixel's color. `relief` lifts bright pixels towards the viewer.
+// options: { maxWidth, maxHeight, weighting (0..1), relief, depth }
+// Returns { positions, colors }, both Float32Array(count * 3).
+export function layoutImage(pixels, width, height, count, options, random) {
+    const { maxWidth, maxHeight, weighting = 1, relief = 0, depth = 1 } = options;
+    const positions = new Float32Array(count * 3);
+    const colors = new Float32Array(count * 3);
+
+    // Running total of the pixel weights, and the bounds of everything visible
+    const cumulative = new Float64Array(width * height);
+    let total = 0;
+    let minX = width, minY = height, maxX = -1, maxY = -1;
+    for (let i = 0; i < width * height; i++) {
+        const alpha = pixels[i * 4 + 3] / 255;
+        total += alpha * (1 - weighting + weighting * luminance(pixels, i * 4));
+        cumulative[i] = total;
+        if (alpha > 0) {
+            const x = i % width;
+            const y = Math.floor(i / width);
+            if (x < minX) minX = x;
+            if (x > maxX) maxX = x;
+            if (y < minY) minY = y;
+            if (y > maxY) maxY = y;
+        }
+    }
+    if (total === 0 || count === 0) return { positions, colors }; // Blank or fully transparent
+
+    const centerX = (minX + maxX + 1) / 2;
+    const centerY = (minY + maxY + 1) / 2;
+    const scale = Math.min(maxWidth / (maxX - minX + 1), maxHeight / (maxY - minY + 1));
+
+    for (let i = 0; i < count; i++) {
+        // One pick per equal slice of the total weight, so the spread stays even
+        const pick = ((i + random()) / count) * total;
+        let low = 0;
+        let high = cumulative.length - 1;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (cumulative[middle] <= pick) low = middle + 1;
+            else high = middle;
+        }
+        const x = low % width + random();
+        const y = Math.floor(low / width) + random();
+        const p = low * 4;
+        positions[i * 3] = (x - centerX) * scale;
+        positions[i * 3 + 1] = -(y - centerY) * scale; // Flip y
+        positions[i * 3 + 2] = (luminance(pixels, p) - 0.5) * relief + (random() - 0.5) * depth;
+        colors[i * 3] = srgbToLinear(pixels[p]);
+        colors[i * 3 + 1] = srgbToLinear(pixels[p + 1]);
+        colors[i * 3 + 2] = srgbToLinear(pixels[p + 2]);
+    }
+    return { positions, colors };
+}
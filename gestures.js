@@ -0,0 +1,217 @@
+// --- Gesture Recognition ---
+// Turns HandLandmarker results into stable gestures. Pure functions only (no DOM,
+// no Three.js), so it can be driven from recorded landmarks in Node as well.
+
+export const GESTURES = ['NONE', 'OPEN', 'FIST', 'OK', 'VICTORY'];
+export const TWO_HAND_GESTURES = ['BOTH_OPEN', 'BOTH_FIST', 'BOTH_OK', 'BOTH_VICTORY'];
+const ALL_GESTURES = GESTURES.concat(TWO_HAND_GESTURES);
+
+export const DEFAULT_RECOGNIZER_OPTIONS = {
+    classifier: null,       // Trained custom gestures (see classifier.js), scored alongside the built-in ones
+    holdMs: 250,            // A new gesture must lead for this long before it fires
+    noneHoldMs: 500,        // Losing the hand is debounced a bit longer
+    enterThreshold: 0.6,    // Minimum smoothed confidence to switch to a gesture
+    smoothingMs: 120        // Time constant of the confidence smoothing
+};
+
+// Landmark indices (see MediaPipe hand model)
+const WRIST = 0;
+const THUMB_TIP = 4;
+const MIDDLE_BASE = 9;
+const FINGER_TIPS = [8, 12, 16, 20];   // Index, middle, ring, pinky
+const FINGER_BASES = [5, 9, 13, 17];
+
+function dist3(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y, (a.z || 0) - (b.z || 0));
+}
+
+function smoothstep(edge0, edge1, x) {
+    const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+    return t * t * (3 - 2 * t);
+}
+
+// Thumb-to-index distance relative to hand size, so it works at any distance from the camera
+export function pinchDistance(landmarks) {
+    const handSize = dist3(landmarks[WRIST], landmarks[MIDDLE_BASE]) || 1e-6;
+    return dist3(landmarks[THUMB_TIP], landmarks[FINGER_TIPS[0]]) / handSize;
+}
+
+// How far each finger (index, middle, ring, pinky) is extended, 0..1:
+// tip vs. knuckle distance from the wrist. Distances are 3D, so fingers
+// pointing at the camera still count as extended.
+export function fingerExtension(landmarks) {
+    const wrist = landmarks[WRIST];
+    return FINGER_TIPS.map((tip, i) => {
+        const ratio = dist3(landmarks[tip], wrist) / (dist3(landmarks[FINGER_BASES[i]], wrist) || 1e-6);
+        return smoothstep(1.0, 1.4, ratio);
+    });
+}
+
+// --- Per-hand classification ---
+// Scores every single-hand gesture in 0..1 for one set of 21 landmarks
+export function scoreHand(landmarks) {
+    const [index, middle, ring, pinky] = fingerExtension(landmarks);
+
+    // Thumb and index touching
+    const pinch = 1 - smoothstep(0.25, 0.45, pinchDistance(landmarks));
+
+    const others = (middle + ring + pinky) / 3;
+    return {
+        NONE: 0,
+        OPEN: ((index + middle + ring + pinky) / 4) * (1 - pinch),
+        FIST: ((4 - index - middle - ring - pinky) / 4) * (1 - 0.5 * pinch),
+        OK: pinch * (0.5 + 0.5 * others),
+        VICTORY: Math.min(index, middle, 1 - ring, 1 - pinky) * (1 - pinch)
+    };
+}
+
+function bestGesture(scores, names) {
+    let gesture = 'NONE';
+    let confidence = 0;
+    names.forEach((name) => {
+        if (scores[name] > confidence) {
+            gesture = name;
+            confidence = scores[name];
+        }
+    });
+    return { gesture, confidence };
+}
+
+// Gesture scores for a whole frame (zero, one or two hands).
+// Returns { scores, hands } where hands carry handedness and per-hand results
+// (plus the raw finger extension and pinch distance for continuous controls).
+// With a `classifier`, each hand also gets a `custom` match, and custom gestures
+// score by name next to the built-in ones, which they override.
+export function scoreFrame(result, classifier = null) {
+    const landmarkSets = (result && result.landmarks) || [];
+    // tasks-vision has used both names for this field
+    const handedness = (result && (result.handedness || result.handednesses)) || [];
+
+    const hands = landmarkSets.map((landmarks, i) => {
+        const category = handedness[i] && handedness[i][0];
+        const scores = scoreHand(landmarks);
+        return {
+            landmarks: landmarks,
+            handedness: category ? category.categoryName : 'Unknown',
+            handednessScore: category ? category.score : 0,
+            scores: scores,
+            extension: fingerExtension(landmarks),
+            pinch: pinchDistance(landmarks),
+            custom: classifier ? classifier.classify(landmarks, category ? category.categoryName : 'Unknown') : null,
+            ...bestGesture(scores, GESTURES)
+        };
+    });
+
+    // Left hand first, so two-hand results are ordered consistently
+    hands.sort((a, b) => (a.handedness === 'Left' ? 0 : 1) - (b.handedness === 'Left' ? 0 : 1));
+
+    const scores = {};
+    ALL_GESTURES.forEach((name) => { scores[name] = 0; });
+
+    if (hands.length === 0) {
+        scores.NONE = 1;
+    } else if (hands.length === 1) {
+        GESTURES.forEach((name) => { scores[name] = hands[0].scores[name]; });
+    } else {
+        const [a, b] = hands;
+        GESTURES.forEach((name) => {
+            if (name === 'NONE') return;
+            const both = Math.min(a.scores[name], b.scores[name]);
+            scores['BOTH_' + name] = both;
+            // A single-hand gesture only counts when the two hands disagree
+            scores[name] = Math.max(a.scores[name], b.scores[name]) * (1 - both);
+        });
+    }
+
+    if (classifier) {
+        const builtIn = classifier.replaceBuiltIn && classifier.names.length > 0
+            ? 0
+            : 1 - Math.max(0, ...hands.map((hand) => hand.custom.confidence));
+        ALL_GESTURES.forEach((name) => {
+            if (name !== 'NONE') scores[name] *= builtIn;
+        });
+        classifier.names.forEach((name) => { scores[name] = 0; });
+        hands.forEach(({ custom }) => {
+            if (custom.gesture) scores[custom.gesture] = Math.max(scores[custom.gesture], custom.confidence);
+        });
+    }
+    return { scores, hands };
+}
+
+// --- Temporal Recognizer ---
+// Smooths frame scores over time and only switches gesture after the new one
+// has led for `holdMs` with enough confidence (hysteresis against flicker).
+export function createGestureRecognizer(options = {}) {
+    const opts = { ...DEFAULT_RECOGNIZER_OPTIONS, ...options };
+
+    let smoothed = {};
+    let active = 'NONE';
+    let activeSince = 0;
+    let candidate = 'NONE';
+    let candidateSince = 0;
+    let lastTime = null;
+
+    // Custom gestures come and go as they are trained
+    function names() {
+        return opts.classifier ? ALL_GESTURES.concat(opts.classifier.names) : ALL_GESTURES;
+    }
+
+    function reset() {
+        smoothed = {};
+        names().forEach((name) => { smoothed[name] = 0; });
+        smoothed.NONE = 1;
+        active = 'NONE';
+        activeSince = 0;
+        candidate = 'NONE';
+        candidateSince = 0;
+        lastTime = null;
+    }
+    reset();
+
+    // Feed one HandLandmarker result. Returns the current (stable) gesture.
+    function update(result, timestampMs) {
+        const frame = scoreFrame(result, opts.classifier);
+        const dt = lastTime === null ? opts.smoothingMs : Math.max(0, timestampMs - lastTime);
+        lastTime = timestampMs;
+
+        // Exponential smoothing, independent of frame rate
+        const alpha = 1 - Math.exp(-dt / opts.smoothingMs);
+        const current = names();
+        current.forEach((name) => {
+            const previous = smoothed[name] || 0;
+            smoothed[name] = previous + ((frame.scores[name] || 0) - previous) * alpha;
+        });
+
+        const leader = bestGesture(smoothed, current).gesture;
+        let changed = false;
+
+        if (leader === active) {
+            candidate = active;
+            candidateSince = timestampMs;
+        } else {
+            if (leader !== candidate) {
+                candidate = leader;
+                candidateSince = timestampMs;
+            }
+            const hold = candidate === 'NONE' ? opts.noneHoldMs : opts.holdMs;
+            if (timestampMs - candidateSince >= hold && smoothed[candidate] >= opts.enterThreshold) {
+                active = candidate;
+                activeSince = timestampMs;
+                changed = true;
+            }
+        }
+
+        return {
+            gesture: active,
+            confidence: smoothed[active],
+            changed: changed,
+            since: activeSince,
+            candidate: candidate,
+            candidateConfidence: smoothed[candidate],
+            scores: { ...smoothed },
+            hands: frame.hands
+        };
+    }
+
+    return { update, reset };
+}
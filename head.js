@@ -0,0 +1,74 @@
+// --- Head Tracking ---
+// Turns face landmarks (MediaPipe FaceLandmarker, normalized to the video frame)
+// into a smoothed offset of the viewer's head from a rest position, for a
+// "window into 3D" parallax camera. No DOM and no Three.js.
+
+export const DEFAULT_HEAD_OPTIONS = {
+    smoothingMs: 120,   // Time constant of the smoothing
+    lostMs: 500         // Without a face for this long, ease back to the rest position
+};
+
+// Outer eye corners in the face mesh
+const LEFT_EYE = 33;
+const RIGHT_EYE = 263;
+
+export function createHeadTracker(options = {}) {
+    const opts = { ...DEFAULT_HEAD_OPTIONS, ...options };
+    let rest = null;        // { x, y, size }: the frame center at the first face's size, or recenter()
+    let head = null;        // Latest head position, same form
+    let target = { x: 0, y: 0, z: 0 };
+    let lastSeen = -Infinity;
+    let lastTime = null;
+    const offset = { x: 0, y: 0, z: 0 };
+
+    function reset() {
+        rest = null;
+        head = null;
+        target = { x: 0, y: 0, z: 0 };
+        lastSeen = -Infinity;
+        lastTime = null;
+        offset.x = 0;
+        offset.y = 0;
+        offset.z = 0;
+    }
+
+    return {
+        // x: to the viewer's right, y: up (both in frame widths and heights),
+        // z: towards the screen (share of the rest distance)
+        get offset() {
+            return offset;
+        },
+        get tracking() {
+            return head !== null;
+        },
+        // Feed the first face's landmarks (or null without a face) once per video frame
+        update(landmarks, timestampMs) {
+            const elapsed = lastTime === null ? 0 : Math.max(0, timestampMs - lastTime);
+            lastTime = timestampMs;
+
+            if (landmarks) {
+                const a = landmarks[LEFT_EYE];
+                const b = landmarks[RIGHT_EYE];
+                head = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, size: Math.hypot(b.x - a.x, b.y - a.y) || 1e-6 };
+                if (!rest) rest = { x: 0.5, y: 0.5, size: head.size };
+                // The camera sees the viewer mirrored: moving right is moving left in the frame
+                target = { x: rest.x - head.x, y: rest.y - head.y, z: 1 - rest.size / head.size };
+                lastSeen = timestampMs;
+            } else {
+                head = null;
+                if (timestampMs - lastSeen > opts.lostMs) target = { x: 0, y: 0, z: 0 };
+            }
+
+            const k = 1 - Math.exp(-elapsed / opts.smoothingMs);
+            offset.x += (target.x - offset.x) * k;
+            offset.y += (target.y - offset.y) * k;
+            offset.z += (target.z - offset.z) * k;
+            return offset;
+        },
+        // The current head position becomes the rest position
+        recenter() {
+            if (head) rest = { ...head };
+        },
+        reset
+    };
+}
@@ -0,0 +1,65 @@
+import { layoutImage } from './geometry.js';
+
+// --- Image Formations ---
+// Turn a photo, logo, SVG or webcam frame into a formation that brings its own
+// colors: particles gather where the image is bright and take its pixel colors.
+
+const RASTER_SIZE = 256; // Longest side (px) the image is sampled at, independent of world size
+
+export const DEFAULT_IMAGE_OPTIONS = {
+    mirror: false,      // Flip horizontally (webcam frames, to match the mirrored preview)
+    weighting: 1,       // 0: density only follows opacity, 1: also brightness
+    relief: 0,          // Depth from brightness in world units (0 = flat)
+    depth: 1            // Random depth spread in world units
+};
+
+export function isImageFile(file) {
+    return file.type.startsWith('image/');
+}
+
+// A File, Blob or URL as an <img>, ready to draw (SVG included)
+export function loadImage(source) {
+    const blob = source instanceof Blob;
+    const url = blob ? URL.createObjectURL(source) : String(source);
+    const image = new Image();
+    if (!blob) image.crossOrigin = 'anonymous'; // Other hosts must allow reading the pixels
+    image.src = url;
+    return image.decode().then(() => image).finally(() => {
+        if (blob) URL.revokeObjectURL(url);
+    });
+}
+
+// Draw anything drawable (image, video, canvas, ImageBitmap) at raster size and read its pixels
+function rasterizeImage(source, mirror) {
+    const sourceWidth = source.videoWidth || source.naturalWidth || source.width || RASTER_SIZE;
+    const sourceHeight = source.videoHeight || source.naturalHeight || source.height || RASTER_SIZE;
+    const fit = RASTER_SIZE / Math.max(sourceWidth, sourceHeight);
+    const width = Math.max(1, Math.round(sourceWidth * fit));
+    const height = Math.max(1, Math.round(sourceHeight * fit));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    if (mirror) {
+        ctx.translate(width, 0);
+        ctx.scale(-1, 1);
+    }
+    ctx.drawImage(source, 0, 0, width, height);
+    return { pixels: ctx.getImageData(0, 0, width, height).data, width, height };
+}
+
+// Returns a formation generator: (count, context) => { positions, colors }, fit
+// into 80% of the view. The image is read right away, so a video source is
+// captured as its current frame. `options` override context.imageOptions (the settings).
+export function createImageFormation(source, options = {}) {
+    const { pixels, width, height } = rasterizeImage(source, options.mirror);
+
+    return (count, context) => layoutImage(pixels, width, height, count, {
+        ...DEFAULT_IMAGE_OPTIONS,
+        ...context.imageOptions,
+        ...options,
+        maxWidth: context.view.width * 0.8,
+        maxHeight: context.view.height * 0.8
+    }, context.random);
+}
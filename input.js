@@ -0,0 +1,199 @@
+// --- Input Sources ---
+// Anything that produces HandLandmarker results. Every source has start(onResult),
+// stop(), pause() and resume() (e.g. while the page is hidden), and calls
+// onResult(result, timestampMs) once per frame, so the gesture pipeline does not
+// care whether results come from a camera or a file.
+
+export const RECORDING_VERSION = 1;
+
+// Live webcam frames run through a MediaPipe HandLandmarker, and optionally a
+// FaceLandmarker in the same loop (its faces are added to the result as `faceLandmarks`)
+export function createWebcamSource(video, landmarker) {
+    let running = false;
+    let lastVideoTime = -1;
+    let onResult = null;
+    let faceLandmarker = null;
+
+    function predict() {
+        if (!running) return;
+        if (video.currentTime !== lastVideoTime) {
+            lastVideoTime = video.currentTime;
+            const timestampMs = performance.now();
+            const result = landmarker.detectForVideo(video, timestampMs);
+            if (faceLandmarker) result.faceLandmarks = faceLandmarker.detectForVideo(video, timestampMs).faceLandmarks;
+            onResult(result, timestampMs);
+        }
+        requestAnimationFrame(predict);
+    }
+
+    return {
+        start(callback) {
+            onResult = callback;
+            running = true;
+            if (video.readyState >= 2) {
+                predict();
+            } else {
+                video.addEventListener('loadeddata', predict, { once: true });
+            }
+        },
+        stop() {
+            running = false;
+        },
+        pause() {
+            running = false;
+        },
+        resume() {
+            if (running || !onResult) return;
+            running = true;
+            predict();
+        },
+        // Start (or with null stop) running a FaceLandmarker on the same frames
+        setFaceLandmarker(face) {
+            faceLandmarker = face;
+        }
+    };
+}
+
+// Plain-data copy of a HandLandmarker result (drops class instances and extra fields)
+export function serializeResult(result) {
+    const copyPoints = (hands) => (hands || []).map((points) =>
+        points.map((p) => ({ x: p.x, y: p.y, z: p.z })));
+    const handedness = result.handedness || result.handednesses || [];
+    return {
+        landmarks: copyPoints(result.landmarks),
+        worldLandmarks: copyPoints(result.worldLandmarks),
+        handedness: handedness.map((categories) => categories.map((c) => ({
+            categoryName: c.categoryName,
+            score: c.score
+        })))
+    };
+}
+
+// --- Recorder ---
+// Collects timestamped results. Feed it everything the active source produces.
+export function createRecorder() {
+    let frames = [];
+    let startTime = null;
+    let recording = false;
+
+    return {
+        get isRecording() {
+            return recording;
+        },
+        start() {
+            frames = [];
+            startTime = null;
+            recording = true;
+        },
+        record(result, timestampMs) {
+            if (!recording) return;
+            if (startTime === null) startTime = timestampMs;
+            frames.push({ t: timestampMs - startTime, ...serializeResult(result) });
+        },
+        // Stops recording and returns the session as a JSON-ready object
+        stop() {
+            recording = false;
+            return {
+                version: RECORDING_VERSION,
+                createdAt: new Date().toISOString(),
+                frames: frames
+            };
+        }
+    };
+}
+
+// --- Player ---
+// Replays a recording at its original timing, or one frame per step() call.
+// Timestamps passed on keep the recorded spacing, so the gesture recognizer
+// sees exactly what it saw live.
+export function createPlaybackSource(recording, options = {}) {
+    const { loop = false, speed = 1, stepped = false } = options;
+    const frames = recording.frames || [];
+    if (recording.version !== RECORDING_VERSION) {
+        throw new Error(`Unsupported recording version: ${recording.version}`);
+    }
+
+    let onResult = null;
+    let index = 0;
+    let playStart = 0;  // Wall-clock start of the current pass, for scheduling
+    let timeBase = 0;   // Offset added to recorded times, grows with every loop
+    let timer = null;
+    let pausedAt = null;
+
+    function emit() {
+        const frame = frames[index];
+        onResult(frame, timeBase + frame.t);
+        index++;
+    }
+
+    // Back to the first frame, keeping emitted timestamps increasing
+    function rewind() {
+        const last = frames[frames.length - 1];
+        timeBase += last.t + (frames.length > 1 ? last.t / (frames.length - 1) : 0);
+        index = 0;
+        playStart = performance.now();
+    }
+
+    function scheduleNext() {
+        if (index >= frames.length) {
+            if (!loop || frames.length === 0) return;
+            rewind();
+        }
+        const due = playStart + frames[index].t / speed;
+        timer = setTimeout(() => {
+            emit();
+            scheduleNext();
+        }, Math.max(0, due - performance.now()));
+    }
+
+    return {
+        get length() {
+            return frames.length;
+        },
+        get position() {
+            return index;
+        },
+        get done() {
+            return !loop && index >= frames.length;
+        },
+        start(callback) {
+            onResult = callback;
+            index = 0;
+            timeBase = performance.now();
+            playStart = timeBase;
+            if (!stepped) scheduleNext();
+        },
+        stop() {
+            clearTimeout(timer);
+            timer = null;
+        },
+        // Freeze the timeline; resume() carries on from the same frame
+        pause() {
+            if (pausedAt !== null || !onResult) return;
+            pausedAt = performance.now();
+            clearTimeout(timer);
+            timer = null;
+        },
+        resume() {
+            if (pausedAt === null) return;
+            playStart += performance.now() - pausedAt;
+            pausedAt = null;
+            if (!stepped) scheduleNext();
+        },
+        // Deliver the next frame immediately. Returns false at the end.
+        step() {
+            if (index >= frames.length) {
+                if (!loop || frames.length === 0) return false;
+                rewind();
+            }
+            emit();
+            return true;
+        }
+    };
+}
+
+export async function loadRecording(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Failed to load recording ${url}: ${response.status}`);
+    return response.json();
+}
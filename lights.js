@@ -0,0 +1,170 @@
+import { TREE_TURNS } from './geometry.js';
+
+// --- Lights ---
+// Gives every particle a lighting role: plain (shimmers and now and then sparkles),
+// a bulb on a chasing light strand, part of an ornament cluster, or part of the
+// star at the top. Roles follow the particle index, which is the tree spiral
+// parameter t = i / count, so strands wind along the spiral and ornaments are
+// tight clusters on the tree. The roles stay with the particles in every other
+// formation, so spheres and text shimmer too. Colors come from a theme.
+// No DOM and no Three.js; the GLSL below does the animation.
+
+export const LIGHT_KINDS = { plain: 0, bulb: 1, ornament: 2, star: 3 };
+
+// Each theme has a base palette (same format as the palette setting) plus the
+// colors of the bulbs, ornaments and the star
+export const THEMES = {
+    classic: {
+        palette: [
+            { color: '#00ff00', weight: 0.63 }, // Green
+            { color: '#ffd700', weight: 0.27 }, // Gold
+            { color: '#ff0000', weight: 0.1 }   // Red
+        ],
+        bulbs: ['#ffcc66', '#ff3030', '#3399ff', '#44ff66'],
+        ornaments: ['#ff1a1a', '#ffd700', '#1a53ff', '#d9d9d9'],
+        star: '#fff2a8'
+    },
+    icy: {
+        palette: [
+            { color: '#bfe8ff', weight: 0.5 },
+            { color: '#5aa9ff', weight: 0.35 },
+            { color: '#ffffff', weight: 0.15 }
+        ],
+        bulbs: ['#ffffff', '#a6e3ff', '#6f9dff'],
+        ornaments: ['#e6f7ff', '#3d7bff', '#b3b3ff', '#7fffff'],
+        star: '#eafaff'
+    },
+    gold: {
+        palette: [
+            { color: '#ffd700', weight: 0.5 },
+            { color: '#ff9f1a', weight: 0.3 },
+            { color: '#fff3c4', weight: 0.2 }
+        ],
+        bulbs: ['#fff0b3', '#ffbf40'],
+        ornaments: ['#b8860b', '#ffffff', '#ff7f00', '#8b0000'],
+        star: '#ffe680'
+    }
+};
+
+// 'brand' takes every color from the current palette, so it follows the palette setting
+export const THEME_NAMES = [...Object.keys(THEMES), 'brand'];
+
+export const DEFAULT_LIGHT_OPTIONS = {
+    strands: 4,            // Chasing strands, each winding along its own stretch of the spiral
+    ornaments: 16,         // Ornament clusters
+    bulbsPerTurn: 12,      // Bulb spacing along a strand
+    ornamentReach: 2,      // Neighbors along the spiral on each side (and one turn up and down)
+    starShare: 0.015,      // Top share of the spiral that forms the star
+    random: Math.random    // PRNG for twinkle phases and ornament placement
+};
+
+// Bulbs per chasing wave, see lightShaderChunk
+const CHASE_GROUP = 8;
+
+// Share of the spiral (from the base) where ornaments hang; the tip is too narrow
+const ORNAMENT_TOP = 0.85;
+
+function paletteColors(palette) {
+    return palette.map((entry) => (entry !== null && typeof entry === 'object' ? entry.color : entry));
+}
+
+function luma(hex) {
+    const value = parseInt(String(hex).replace('#', ''), 16);
+    return 0.299 * ((value >> 16) & 255) + 0.587 * ((value >> 8) & 255) + 0.114 * (value & 255);
+}
+
+// Colors of a theme. `palette` is only used by 'brand'.
+export function resolveTheme(name, palette = THEMES.classic.palette) {
+    if (name === 'brand') {
+        const colors = paletteColors(palette);
+        const star = colors.reduce((best, color) => (luma(color) > luma(best) ? color : best));
+        return { palette, bulbs: colors, ornaments: colors, star };
+    }
+    const theme = THEMES[name];
+    if (!theme) throw new Error(`Unknown theme: ${name}`);
+    return theme;
+}
+
+// Per-particle light data, Float32Array(count * 4): kind (LIGHT_KINDS), twinkle
+// phase (0..1), position along the strand (bulbs) and color slot
+export function createLightLayout(count, options = {}) {
+    const opts = { ...DEFAULT_LIGHT_OPTIONS, ...options };
+    const { random } = opts;
+    const layout = new Float32Array(count * 4);
+    for (let i = 0; i < count; i++) layout[i * 4 + 1] = random();
+
+    const starStart = Math.floor(count * (1 - opts.starShare));
+    const perTurn = count / TREE_TURNS;
+
+    // Strands split the spiral below the star into equal stretches
+    const spacing = Math.max(2, Math.round(perTurn / opts.bulbsPerTurn));
+    let slot = 0;
+    for (let s = 0; s < opts.strands; s++) {
+        const start = Math.floor((starStart * s) / opts.strands);
+        const end = Math.floor((starStart * (s + 1)) / opts.strands);
+        for (let i = start, k = 0; i < end; i += spacing, k++) {
+            layout[i * 4] = LIGHT_KINDS.bulb;
+            layout[i * 4 + 2] = s % 2 === 0 ? k : -k; // Neighboring strands chase in opposite directions
+            layout[i * 4 + 3] = slot++;
+        }
+    }
+
+    // Ornaments: a few particles along the spiral plus the ones a turn above and below
+    const reach = opts.ornamentReach;
+    const turn = Math.round(perTurn);
+    const top = Math.floor(count * ORNAMENT_TOP);
+    let placed = 0;
+    for (let attempt = 0; attempt < opts.ornaments * 4 && placed < opts.ornaments; attempt++) {
+        const center = Math.floor(random() * top);
+        if (layout[center * 4] === LIGHT_KINDS.ornament) continue;
+        for (const row of [-turn, 0, turn]) {
+            for (let j = -reach; j <= reach; j++) {
+                const i = center + row + j;
+                if (i < 0 || i >= starStart) continue;
+                layout[i * 4] = LIGHT_KINDS.ornament;
+                layout[i * 4 + 3] = placed;
+            }
+        }
+        placed++;
+    }
+
+    for (let i = starStart; i < count; i++) layout[i * 4] = LIGHT_KINDS.star;
+    return layout;
+}
+
+// Theme color of particle i, or null for plain particles (they keep the palette color)
+export function lightColor(layout, i, theme) {
+    const kind = layout[i * 4];
+    const slot = layout[i * 4 + 3];
+    if (kind === LIGHT_KINDS.bulb) return theme.bulbs[slot % theme.bulbs.length];
+    if (kind === LIGHT_KINDS.ornament) return theme.ornaments[slot % theme.ornaments.length];
+    if (kind === LIGHT_KINDS.star) return theme.star;
+    return null;
+}
+
+// GLSL: lightParticle(color, light) returns the lit color (rgb) and a point size
+// factor (a). Expects uTime (seconds), uTwinkle (0..1) and uChase (waves per second).
+export const lightShaderChunk = /* glsl */`
+    uniform float uTime;
+    uniform float uTwinkle;
+    uniform float uChase;
+
+    vec4 lightParticle(vec3 color, vec4 light) {
+        float kind = light.x;
+        float phase = light.y * 6.2831853;
+        float shimmer = 1.0 + uTwinkle * 0.3 * sin(uTime * 2.0 + phase);
+        if (kind < 0.5) {
+            // Rare short sparkles on top of a soft shimmer
+            float sparkle = pow(max(sin(uTime * 0.9 + phase * 13.0), 0.0), 40.0) * 2.0 * uTwinkle;
+            return vec4(color * (shimmer + sparkle), 1.0 + sparkle * 0.3);
+        }
+        if (kind < 1.5) {
+            // A bright head runs along the strand, trailing a fading tail
+            float wave = fract(uTime * uChase - light.z / ${CHASE_GROUP.toFixed(1)});
+            float on = pow(1.0 - wave, 4.0);
+            return vec4(color * (0.5 + 1.5 * on), 1.1 + 0.4 * on);
+        }
+        if (kind < 2.5) return vec4(color * shimmer * 1.1, 1.3);
+        return vec4(color * (1.6 + 0.4 * sin(uTime * 3.0 + phase)), 1.5);
+    }
+`;
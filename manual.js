@@ -0,0 +1,134 @@
+// --- Manual Controls ---
+// Everything that works without a camera: on-screen buttons and touch/mouse
+// gestures on the canvas. Keyboard shortcuts live with the other keys in tree.js.
+
+export const MODE_KEYS = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '0'];
+
+export const DEFAULT_TOUCH_OPTIONS = {
+    tapMs: 300,          // Longer presses are not taps
+    longPressMs: 500,
+    moveTolerance: 10,   // Pixels; moving further is a drag (orbit), not a gesture
+    twoFingerMs: 250     // Second finger must land this soon after the first
+};
+
+function label(name) {
+    return name.charAt(0) + name.slice(1).toLowerCase();
+}
+
+// Button bar with one button per formation plus a reduced motion toggle.
+// handlers: { onSelect(name), onToggleMotion() }
+export function createModeBar(handlers) {
+    const element = document.createElement('nav');
+    element.className = 'tree-mode-bar';
+    element.setAttribute('aria-label', 'Shapes');
+
+    const list = document.createElement('div');
+    list.className = 'mode-buttons';
+    const motion = document.createElement('button');
+    motion.type = 'button';
+    motion.className = 'motion-toggle';
+    motion.textContent = 'Reduce motion';
+    motion.setAttribute('aria-pressed', 'false');
+    motion.addEventListener('click', () => handlers.onToggleMotion());
+    element.append(list, motion);
+
+    const buttons = new Map();
+
+    return {
+        element,
+        // Rebuild the buttons, e.g. after a formation was registered
+        setModes(names) {
+            list.replaceChildren();
+            buttons.clear();
+            names.forEach((name, i) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.textContent = label(name);
+                button.setAttribute('aria-pressed', 'false');
+                if (i < MODE_KEYS.length) {
+                    button.setAttribute('aria-keyshortcuts', MODE_KEYS[i]);
+                    button.title = `${label(name)} (${MODE_KEYS[i]})`;
+                }
+                button.addEventListener('click', () => handlers.onSelect(name));
+                buttons.set(name, button);
+                list.append(button);
+            });
+        },
+        setActive(name) {
+            buttons.forEach((button, key) => button.setAttribute('aria-pressed', String(key === name)));
+        },
+        setReducedMotion(enabled) {
+            motion.setAttribute('aria-pressed', String(enabled));
+        },
+        toggle(visible = element.hidden) {
+            element.hidden = !visible;
+        }
+    };
+}
+
+// Tap, long-press and two-finger tap on `element` (touch or pen only; the mouse
+// keeps the buttons and keys). Drags are left alone, so orbiting the camera keeps working.
+// handlers: { onTap(), onLongPressStart(), onLongPressEnd(), onTwoFingerTap() }
+export function attachTouchGestures(element, handlers, options = {}) {
+    const opts = { ...DEFAULT_TOUCH_OPTIONS, ...options };
+    const pointers = new Map(); // pointerId -> { x, y }
+    let gesture = null;          // { start, fingers, moved, longPress }
+    let timer = null;
+
+    function cancelTimer() {
+        clearTimeout(timer);
+        timer = null;
+    }
+
+    element.addEventListener('pointerdown', (event) => {
+        // Mouse clicks and drags belong to the orbit controls (and the mode bar)
+        if (event.pointerType !== 'touch' && event.pointerType !== 'pen') return;
+        pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+
+        if (pointers.size === 1) {
+            gesture = { start: event.timeStamp, fingers: 1, moved: false, longPress: false };
+            timer = setTimeout(() => {
+                if (!gesture || gesture.moved || gesture.fingers > 1) return;
+                gesture.longPress = true;
+                handlers.onLongPressStart();
+            }, opts.longPressMs);
+        } else if (gesture && !gesture.longPress) {
+            cancelTimer();
+            if (event.timeStamp - gesture.start <= opts.twoFingerMs) {
+                gesture.fingers = Math.max(gesture.fingers, pointers.size);
+            } else {
+                gesture.moved = true; // Late second finger: a pinch or pan
+            }
+        }
+    });
+
+    element.addEventListener('pointermove', (event) => {
+        const start = pointers.get(event.pointerId);
+        if (!start || !gesture || gesture.longPress) return;
+        if (Math.hypot(event.clientX - start.x, event.clientY - start.y) > opts.moveTolerance) {
+            gesture.moved = true;
+            cancelTimer();
+        }
+    });
+
+    function release(event) {
+        if (!pointers.delete(event.pointerId) || !gesture) return;
+        if (pointers.size > 0) return; // Wait for the last finger
+        cancelTimer();
+        const { start, fingers, moved, longPress } = gesture;
+        gesture = null;
+        if (event.type === 'pointercancel') {
+            if (longPress) handlers.onLongPressEnd();
+            return;
+        }
+
+        if (longPress) {
+            handlers.onLongPressEnd();
+        } else if (!moved && event.timeStamp - start <= opts.tapMs) {
+            if (fingers >= 2) handlers.onTwoFingerTap();
+            else handlers.onTap();
+        }
+    }
+    element.addEventListener('pointerup', release);
+    element.addEventListener('pointercancel', release);
+}
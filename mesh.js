@@ -0,0 +1,81 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
+import { MeshSurfaceSampler } from 'three/addons/math/MeshSurfaceSampler.js';
+
+// --- Mesh Formations ---
+// Load a local GLTF/GLB/OBJ file and turn its surface into a formation generator.
+
+export const MESH_EXTENSIONS = ['.glb', '.gltf', '.obj'];
+
+export function isMeshFile(file) {
+    const name = file.name.toLowerCase();
+    return MESH_EXTENSIONS.some((ext) => name.endsWith(ext));
+}
+
+// Parse a File into a scene graph
+export async function loadMeshFile(file) {
+    const name = file.name.toLowerCase();
+    if (name.endsWith('.obj')) {
+        return new OBJLoader().parse(await file.text());
+    }
+    // Note: .gltf files referencing external buffers/textures need those embedded
+    const gltf = await new GLTFLoader().parseAsync(await file.arrayBuffer(), '');
+    return gltf.scene;
+}
+
+// Bake every mesh (with its transform) into one position-only, non-indexed geometry
+function mergeMeshes(object) {
+    const chunks = [];
+    let length = 0;
+    object.updateMatrixWorld(true);
+    object.traverse((child) => {
+        if (!child.isMesh) return;
+        const geometry = child.geometry.clone().applyMatrix4(child.matrixWorld);
+        const position = (geometry.index ? geometry.toNonIndexed() : geometry).getAttribute('position');
+        const array = new Float32Array(position.count * 3);
+        for (let i = 0; i < position.count; i++) {
+            array[i * 3] = position.getX(i);
+            array[i * 3 + 1] = position.getY(i);
+            array[i * 3 + 2] = position.getZ(i);
+        }
+        chunks.push(array);
+        length += array.length;
+    });
+    if (length === 0) throw new Error('The file does not contain any meshes');
+
+    const merged = new Float32Array(length);
+    let offset = 0;
+    chunks.forEach((chunk) => {
+        merged.set(chunk, offset);
+        offset += chunk.length;
+    });
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(merged, 3));
+    return geometry;
+}
+
+// Returns a formation generator sampling points evenly (by area) over the surface,
+// centered and scaled so the largest side is `size` world units
+export function createMeshFormation(object, size = 40) {
+    const geometry = mergeMeshes(object);
+    geometry.computeBoundingBox();
+    const center = geometry.boundingBox.getCenter(new THREE.Vector3());
+    const extent = geometry.boundingBox.getSize(new THREE.Vector3());
+    const scale = size / (Math.max(extent.x, extent.y, extent.z) || 1);
+    geometry.translate(-center.x, -center.y, -center.z);
+    geometry.scale(scale, scale, scale);
+
+    const sampler = new MeshSurfaceSampler(new THREE.Mesh(geometry)).build();
+    const point = new THREE.Vector3();
+
+    return (count, context) => {
+        sampler.setRandomGenerator(context.random);
+        const positions = new Float32Array(count * 3);
+        for (let i = 0; i < count; i++) {
+            sampler.sample(point);
+            point.toArray(positions, i * 3);
+        }
+        return positions;
+    };
+}
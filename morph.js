@@ -0,0 +1,446 @@
+import * as THREE from 'three';
+import { GPUComputationRenderer } from 'three/addons/misc/GPUComputationRenderer.js';
+import {
+    resolveTransition, easingIndex, staggerDelays, particleProgress, transitionPoint, transitionShaderChunk
+} from './transitions.js';
+import { lightShaderChunk } from './lights.js';
+
+// --- GPU Particle Morphing ---
+// Every formation is stored as a float data texture (one texel per particle,
+// xyz = position, w = start delay in the current transition). The target of
+// each particle travels from a source to a target texture (see transitions.js), and the
+// particle itself follows it as a damped spring, simulated on the GPU
+// (position and velocity textures). Forces such as the hand push particles off
+// their targets; the spring pulls them back. The CPU only touches particle data
+// when a formation changes, never per frame.
+
+// Spring towards the morph target, hand force field, damping
+const velocityShader = /* glsl */`
+    uniform sampler2D uSource;
+    uniform sampler2D uTarget;
+    uniform float uProgress;
+    uniform float uDelta;       // Time step in 60 fps frames
+    uniform float uStiffness;
+    uniform float uDamping;     // Velocity kept per frame
+    uniform vec4 uHand;         // xyz = position, w = strength (> 0 repels, < 0 attracts)
+    uniform float uHandRadius;
+
+    ${transitionShaderChunk}
+
+    void main() {
+        vec2 uv = gl_FragCoord.xy / resolution.xy;
+        vec3 position = texture2D(texturePosition, uv).xyz;
+        vec3 velocity = texture2D(textureVelocity, uv).xyz;
+
+        vec4 target = texture2D(uTarget, uv);
+        vec3 goal = transitionPoint(texture2D(uSource, uv).xyz, target.xyz, uProgress, target.w);
+        vec3 force = (goal - position) * uStiffness;
+
+        vec3 away = position - uHand.xyz;
+        float dist = length(away);
+        if (uHand.w != 0.0 && dist < uHandRadius) {
+            float falloff = 1.0 - dist / uHandRadius;
+            force += away / max(dist, 0.001) * uHand.w * falloff * falloff;
+        }
+
+        velocity = (velocity + force * uDelta) * pow(uDamping, uDelta);
+        gl_FragColor = vec4(velocity, 1.0);
+    }
+`;
+
+const positionShader = /* glsl */`
+    uniform float uDelta;
+
+    void main() {
+        vec2 uv = gl_FragCoord.xy / resolution.xy;
+        vec3 position = texture2D(texturePosition, uv).xyz;
+        vec3 velocity = texture2D(textureVelocity, uv).xyz;
+        gl_FragColor = vec4(position + velocity * uDelta, 1.0);
+    }
+`;
+
+const vertexShader = /* glsl */`
+    uniform sampler2D uPositions;
+    uniform float uSize;
+    uniform float uSizeScale;
+    uniform float uScale;
+
+    attribute vec2 aRef;      // Texel of this particle in the simulation and formation textures
+    attribute float aLetter;  // Index into the letter atlas
+    attribute vec3 aColor;
+    attribute vec3 aColorFrom; // Previous colors while fading to new ones
+    attribute vec4 aLight;     // Lighting role, see lights.js
+    uniform float uColorMix;
+
+    varying vec3 vColor;
+    varying float vLetter;
+
+    ${lightShaderChunk}
+
+    #include <fog_pars_vertex>
+
+    void main() {
+        vec3 transformed = texture2D(uPositions, aRef).xyz;
+        vec4 lit = lightParticle(mix(aColorFrom, aColor, uColorMix), aLight);
+
+        vec4 mvPosition = modelViewMatrix * vec4(transformed, 1.0);
+        gl_Position = projectionMatrix * mvPosition;
+        gl_PointSize = uSize * uSizeScale * lit.a * (uScale / -mvPosition.z); // Same attenuation as PointsMaterial
+
+        vColor = lit.rgb;
+        vLetter = aLetter;
+
+        #include <fog_vertex>
+    }
+`;
+
+const fragmentShader = /* glsl */`
+    uniform sampler2D uAtlas;
+    uniform float uLetterCount;
+
+    varying vec3 vColor;
+    varying float vLetter;
+
+    #include <fog_pars_fragment>
+
+    void main() {
+        vec2 uv = vec2((vLetter + gl_PointCoord.x) / uLetterCount, 1.0 - gl_PointCoord.y);
+        vec4 texel = texture2D(uAtlas, uv);
+        if (texel.a < 0.5) discard; // Crisp edges
+
+        gl_FragColor = vec4(vColor * texel.rgb, texel.a);
+
+        #include <tonemapping_fragment>
+        #include <colorspace_fragment>
+        #include <fog_fragment>
+    }
+`;
+
+// White letters side by side in one texture, tinted by the particle colors
+export function createLetterAtlas(letters) {
+    const canvas = document.createElement('canvas');
+    const size = 64; // Cell size per letter
+    canvas.width = size * letters.length;
+    canvas.height = size;
+    const context = canvas.getContext('2d');
+
+    context.font = 'bold 48px Arial';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillStyle = '#ffffff';
+    letters.forEach((letter, i) => {
+        context.fillText(letter, size * i + size / 2, size / 2);
+    });
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.needsUpdate = true;
+    return texture;
+}
+
+export const DEFAULT_PHYSICS_OPTIONS = {
+    stiffness: 0.03,      // Spring pull towards the target per frame
+    damping: 0.84         // Velocity kept per frame (lower = less overshoot)
+};
+
+// Larger steps are split so the spring stays stable after a stall
+const MAX_SUBSTEP = 2;
+
+// options: { renderer, count, letters, colors (Float32Array count * 3),
+//            lights (Float32Array count * 4, see lights.js), size,
+//            stiffness, damping, random (for random staggering) }
+export function createMorphParticles(options) {
+    const { renderer, count, letters, colors, lights = null, size = 2.0, random = Math.random } = options;
+    const physics = { ...DEFAULT_PHYSICS_OPTIONS, ...options };
+
+    // Square float texture big enough for all particles
+    const textureSize = Math.max(1, Math.ceil(Math.sqrt(count)));
+
+    function createDataTexture() {
+        const data = new Float32Array(textureSize * textureSize * 4);
+        const texture = new THREE.DataTexture(data, textureSize, textureSize, THREE.RGBAFormat, THREE.FloatType);
+        texture.minFilter = THREE.NearestFilter;
+        texture.magFilter = THREE.NearestFilter;
+        texture.needsUpdate = true;
+        return texture;
+    }
+
+    function writeTexture(texture, positions, delays = null) {
+        const data = texture.image.data;
+        for (let i = 0; i < count; i++) {
+            data[i * 4] = positions[i * 3];
+            data[i * 4 + 1] = positions[i * 3 + 1];
+            data[i * 4 + 2] = positions[i * 3 + 2];
+            data[i * 4 + 3] = delays ? delays[i] : 0;
+        }
+        texture.needsUpdate = true;
+    }
+
+    // --- Simulation ---
+    const gpu = new GPUComputationRenderer(textureSize, textureSize, renderer);
+    const positionVariable = gpu.addVariable('texturePosition', positionShader, gpu.createTexture());
+    const velocityVariable = gpu.addVariable('textureVelocity', velocityShader, gpu.createTexture());
+    gpu.setVariableDependencies(positionVariable, [positionVariable, velocityVariable]);
+    gpu.setVariableDependencies(velocityVariable, [positionVariable, velocityVariable]);
+
+    const snapshot = { positions: new Float32Array(count * 3), texture: createDataTexture() };
+    const simulation = velocityVariable.material.uniforms;
+    Object.assign(simulation, {
+        uSource: { value: snapshot.texture },
+        uTarget: { value: snapshot.texture },
+        uProgress: { value: 1 },
+        uDelta: { value: 1 },
+        uStiffness: { value: physics.stiffness },
+        uDamping: { value: physics.damping },
+        uHand: { value: new THREE.Vector4() },
+        uHandRadius: { value: 1 },
+        uEasing: { value: 0 },
+        uSpread: { value: 0 },
+        uSwirl: { value: 0 }
+    });
+    positionVariable.material.uniforms.uDelta = simulation.uDelta;
+
+    const error = gpu.init();
+    if (error) throw new Error(error);
+    const still = gpu.createTexture(); // Zero velocity
+
+    // --- Geometry ---
+    // Vertices visit the particles in shuffled order, so drawing only the first
+    // n vertices (setDrawCount) thins out every formation evenly
+    const order = new Uint32Array(count);
+    for (let i = 0; i < count; i++) order[i] = i;
+    for (let i = count - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+    }
+
+    // Per-particle data (in particle order) to vertex order
+    function reorder(data, size, out) {
+        for (let k = 0; k < count; k++) {
+            const i = order[k];
+            for (let c = 0; c < size; c++) out[k * size + c] = data[i * size + c];
+        }
+        return out;
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    const refs = new Float32Array(count * 2);
+    const letterIndices = new Float32Array(count);
+    for (let k = 0; k < count; k++) {
+        const i = order[k];
+        refs[k * 2] = ((i % textureSize) + 0.5) / textureSize;
+        refs[k * 2 + 1] = (Math.floor(i / textureSize) + 0.5) / textureSize;
+        letterIndices[k] = i % letters.length; // Interleave letters along the particle order
+    }
+    // Positions are computed in the shader; this attribute only sets the vertex count
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+    geometry.setAttribute('aRef', new THREE.BufferAttribute(refs, 2));
+    geometry.setAttribute('aLetter', new THREE.BufferAttribute(letterIndices, 1));
+    const colorAttribute = new THREE.BufferAttribute(reorder(colors, 3, new Float32Array(count * 3)), 3);
+    const colorFromAttribute = new THREE.BufferAttribute(Float32Array.from(colorAttribute.array), 3);
+    geometry.setAttribute('aColor', colorAttribute);
+    geometry.setAttribute('aColorFrom', colorFromAttribute);
+    const lightAttribute = new THREE.BufferAttribute(new Float32Array(count * 4), 4);
+    if (lights) reorder(lights, 4, lightAttribute.array);
+    geometry.setAttribute('aLight', lightAttribute);
+
+    // --- Material ---
+    const uniforms = THREE.UniformsUtils.merge([THREE.UniformsLib.fog]);
+    Object.assign(uniforms, {
+        uPositions: { value: gpu.getCurrentRenderTarget(positionVariable).texture },
+        uSize: { value: size },
+        uSizeScale: { value: 1 },
+        uColorMix: { value: 1 },
+        uScale: { value: 1 },
+        uAtlas: { value: createLetterAtlas(letters) },
+        uLetterCount: { value: letters.length },
+        uTime: { value: 0 },
+        uTwinkle: { value: 0 },
+        uChase: { value: 0 }
+    });
+
+    const material = new THREE.ShaderMaterial({
+        uniforms: uniforms,
+        vertexShader: vertexShader,
+        fragmentShader: fragmentShader,
+        transparent: true,
+        fog: true
+    });
+
+    const points = new THREE.Points(geometry, material);
+    points.frustumCulled = false; // Bounds live in the simulation, not in `position`
+
+    // --- Formations ---
+    const formations = new Map(); // name -> { positions, texture }
+    let source = snapshot;
+    let target = snapshot;
+    let targetName = null;
+    let transition = resolveTransition();
+    const delays = new Float32Array(count);
+
+    // Freeze the current targets into the snapshot texture and morph on from there
+    function takeSnapshot() {
+        const progress = simulation.uProgress.value;
+        const out = snapshot.positions;
+        for (let i = 0; i < count; i++) {
+            const t = particleProgress(progress, delays[i], transition);
+            transitionPoint(source.positions, target.positions, i * 3, t, transition.swirl, out);
+        }
+        writeTexture(snapshot.texture, out);
+        source = snapshot;
+        simulation.uSource.value = snapshot.texture;
+        simulation.uProgress.value = 0;
+    }
+
+    // Add or replace a formation. Replacing the one on screen morphs smoothly to the new layout.
+    function setFormation(name, positions) {
+        let formation = formations.get(name);
+        if (!formation) {
+            formation = { positions: new Float32Array(count * 3), texture: createDataTexture() };
+            formations.set(name, formation);
+        }
+        if (name !== targetName) {
+            formation.positions.set(positions.subarray(0, count * 3));
+            writeTexture(formation.texture, formation.positions);
+            return;
+        }
+        takeSnapshot();
+        formation.positions.set(positions.subarray(0, count * 3));
+        staggerDelays(transition.stagger, formation.positions, count, random, delays);
+        writeTexture(formation.texture, formation.positions, delays);
+    }
+
+    // Start a transition to a formation. `options` picks the easing, stagger,
+    // swirl and duration (see DEFAULT_TRANSITION in transitions.js). `elapsed`
+    // seconds start it part way through (to catch up with other screens).
+    function morphTo(name, options = {}, elapsed = 0) {
+        if (name === targetName) return;
+        const formation = formations.get(name);
+        if (!formation) return;
+        takeSnapshot();
+        transition = resolveTransition(options);
+        simulation.uEasing.value = easingIndex(transition.easing);
+        simulation.uSpread.value = transition.spread;
+        simulation.uSwirl.value = transition.swirl;
+
+        // The delays ride along in the target texture's w channel
+        staggerDelays(transition.stagger, formation.positions, count, random, delays);
+        writeTexture(formation.texture, formation.positions, delays);
+        target = formation;
+        targetName = name;
+        simulation.uTarget.value = formation.texture;
+        simulation.uProgress.value = Math.min(1, Math.max(0, elapsed) / transition.duration);
+    }
+
+    // Show a formation immediately, without a transition: particles are placed
+    // on their targets and come to rest
+    function jumpTo(name) {
+        morphTo(name);
+        const formation = formations.get(name);
+        if (!formation) return;
+        simulation.uProgress.value = 1;
+        positionVariable.renderTargets.forEach((renderTarget) => gpu.renderTexture(formation.texture, renderTarget));
+        velocityVariable.renderTargets.forEach((renderTarget) => gpu.renderTexture(still, renderTarget));
+    }
+
+    let colorFadeTime = 1;
+
+    // Advance the transition, color fade and simulation by `delta` seconds
+    function update(delta) {
+        uniforms.uColorMix.value = Math.min(1, uniforms.uColorMix.value + delta / colorFadeTime);
+        uniforms.uTime.value += delta;
+        const progress = simulation.uProgress.value + delta / transition.duration;
+        simulation.uProgress.value = Math.min(1, progress);
+
+        const step = delta * 60;
+        const substeps = Math.max(1, Math.ceil(step / MAX_SUBSTEP));
+        simulation.uDelta.value = step / substeps;
+        for (let i = 0; i < substeps; i++) gpu.compute();
+        uniforms.uPositions.value = gpu.getCurrentRenderTarget(positionVariable).texture;
+    }
+
+    // Force field around a world position: strength > 0 pushes particles away,
+    // < 0 pulls them in (units per frame², fading out at `radius`). null removes it.
+    function setForce(position, strength = 0, radius = 1) {
+        if (!position) {
+            simulation.uHand.value.set(0, 0, 0, 0);
+            return;
+        }
+        simulation.uHand.value.set(position.x, position.y, position.z, strength);
+        simulation.uHandRadius.value = radius;
+    }
+
+    // Point sizes follow the drawing buffer like PointsMaterial's sizeAttenuation
+    function setViewport(height, pixelRatio) {
+        uniforms.uScale.value = height * 0.5;
+        uniforms.uSize.value = size * pixelRatio;
+    }
+
+    // Extra size multiplier on top of the base size (e.g. pulsing to music)
+    function setSizeScale(scale) {
+        uniforms.uSizeScale.value = scale;
+    }
+
+    // Fade to new per-particle colors (Float32Array count * 3) over `fadeTime` seconds
+    function setColors(newColors, fadeTime = 1) {
+        const from = colorFromAttribute.array;
+        const to = colorAttribute.array;
+        const mix = uniforms.uColorMix.value;
+        for (let i = 0; i < count * 3; i++) {
+            from[i] += (to[i] - from[i]) * mix; // Start from what is on screen now
+        }
+        reorder(newColors, 3, to);
+        colorFromAttribute.needsUpdate = true;
+        colorAttribute.needsUpdate = true;
+        colorFadeTime = Math.max(0.001, fadeTime);
+        uniforms.uColorMix.value = 0;
+    }
+
+    // New lighting roles (Float32Array count * 4, see lights.js)
+    function setLights(lights) {
+        reorder(lights, 4, lightAttribute.array);
+        lightAttribute.needsUpdate = true;
+    }
+
+    // twinkle: shimmer and sparkle amount (0..1), chase: strand waves per second
+    function setLighting({ twinkle = uniforms.uTwinkle.value, chase = uniforms.uChase.value }) {
+        uniforms.uTwinkle.value = twinkle;
+        uniforms.uChase.value = chase;
+    }
+
+    // Draw only the first n particles (a random subset, see `order`); the rest
+    // keep simulating so they are in place when drawn again
+    function setDrawCount(n) {
+        geometry.setDrawRange(0, Math.min(Math.max(Math.round(n), 0), count));
+    }
+
+    // Free all GPU resources (remove `points` from the scene first)
+    function dispose() {
+        gpu.dispose();
+        still.dispose();
+        snapshot.texture.dispose();
+        formations.forEach((formation) => formation.texture.dispose());
+        uniforms.uAtlas.value.dispose();
+        geometry.dispose();
+        material.dispose();
+    }
+
+    return {
+        points,
+        get target() {
+            return targetName;
+        },
+        has: (name) => formations.has(name),
+        setFormation,
+        morphTo,
+        jumpTo,
+        update,
+        setForce,
+        setViewport,
+        setSizeScale,
+        setColors,
+        setLights,
+        setLighting,
+        setDrawCount,
+        dispose
+    };
+}
@@ -0,0 +1,91 @@
+// --- Performance Governor ---
+// Watches frame times and steps a quality level down when the target frame rate
+// is missed, and carefully back up when there is headroom. Pure logic (no DOM,
+// no Three.js); the caller applies the levels.
+
+// From cheapest to best. Fractions of the full setting: pixel ratio of the
+// device's, bloom of the drawing buffer, densities of the configured counts.
+export const QUALITY_LEVELS = [
+    { name: 'lowest', pixelRatio: 0.5, bloom: 0.25, particles: 0.25, snow: 0.25, background: 0.25 },
+    { name: 'low', pixelRatio: 0.6, bloom: 0.35, particles: 0.5, snow: 0.5, background: 0.4 },
+    { name: 'medium', pixelRatio: 0.75, bloom: 0.5, particles: 0.75, snow: 0.75, background: 0.6 },
+    { name: 'high', pixelRatio: 1, bloom: 0.5, particles: 1, snow: 1, background: 0.8 },
+    { name: 'full', pixelRatio: 1, bloom: 1, particles: 1, snow: 1, background: 1 }
+];
+
+export const DEFAULT_GOVERNOR_OPTIONS = {
+    targetFps: 60,
+    level: QUALITY_LEVELS.length - 1,  // Start at full quality
+    averagingMs: 500,       // Time constant of the frame time average
+    slowFactor: 1.2,        // Frames this much over budget count as slow...
+    downgradeMs: 1000,      // ...and this long a stretch of them steps down
+    upgradeMs: 4000,        // Time on budget before trying the next level up
+    cooldownMs: 1500        // No decisions right after a change (the scene is rebuilding)
+};
+
+export function createGovernor(options = {}) {
+    const opts = { ...DEFAULT_GOVERNOR_OPTIONS, ...options };
+    const budgetMs = 1000 / opts.targetFps;
+
+    let level = opts.level;
+    let average = budgetMs;
+    let slowFor = 0;
+    let fastFor = 0;
+    let cooldown = opts.cooldownMs;
+    let upgradeWait = opts.upgradeMs;
+    let sinceUpgrade = Infinity;
+
+    function change(to) {
+        level = to;
+        slowFor = 0;
+        fastFor = 0;
+        cooldown = opts.cooldownMs;
+        return QUALITY_LEVELS[level];
+    }
+
+    return {
+        get level() {
+            return level;
+        },
+        get quality() {
+            return QUALITY_LEVELS[level];
+        },
+        get averageMs() {
+            return average;
+        },
+        get fps() {
+            return 1000 / average;
+        },
+        // Feed the duration of one frame. Returns the new quality when the level changes, else null.
+        update(frameMs) {
+            // A single stall (a rebuild, garbage collection) shouldn't look like a slow device
+            const sample = Math.min(frameMs, budgetMs * 4);
+            average += (sample - average) * (1 - Math.exp(-frameMs / opts.averagingMs));
+            sinceUpgrade += frameMs;
+            if (cooldown > 0) {
+                cooldown -= frameMs;
+                return null;
+            }
+
+            // With vsync, frames can't be faster than the display, so "on budget" is the upgrade signal
+            const slow = average > budgetMs * opts.slowFactor;
+            slowFor = slow ? slowFor + frameMs : 0;
+            fastFor = slow ? 0 : fastFor + frameMs;
+
+            if (slowFor >= opts.downgradeMs && level > 0) {
+                // Undoing a recent step up: wait longer before the next try, so it doesn't oscillate
+                if (sinceUpgrade < upgradeWait) upgradeWait = Math.min(upgradeWait * 2, 60000);
+                return change(level - 1);
+            }
+            if (fastFor >= upgradeWait && level < QUALITY_LEVELS.length - 1) {
+                sinceUpgrade = 0;
+                return change(level + 1);
+            }
+            return null;
+        },
+        // Pin a level (e.g. from the URL) or go back to full quality
+        setLevel(to) {
+            return change(Math.min(Math.max(Math.round(to), 0), QUALITY_LEVELS.length - 1));
+        }
+    };
+}
@@ -0,0 +1,33 @@
+// --- Seeded Random ---
+// Deterministic replacement for Math.random(). Every subsystem gets its own
+// stream derived from the scene seed plus a label, so the layout of one part
+// does not depend on how many numbers another part consumed (or in which order).
+
+// 32-bit hash of any string (FNV-1a)
+export function hashSeed(value) {
+    const text = String(value);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Returns a function like Math.random() (mulberry32), seeded from all arguments:
+// createRandom('my-seed', 'formation', 'TREE')
+export function createRandom(...seedParts) {
+    let state = hashSeed(seedParts.join(':'));
+    return function random() {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Short random seed for scenes opened without one
+export function createSeed() {
+    return Math.random().toString(36).slice(2, 8);
+}
@@ -0,0 +1,162 @@
+import { CONFIG_SCHEMA, CONFIG_KEYS, defaultConfig } from './config.js';
+
+// --- Settings Panel ---
+// In-page form generated from the config schema. It never touches the scene
+// itself: every edit goes through onChange(changes), which may throw to reject it.
+//
+// handlers: { getConfig(), onChange(changes), onExport(), onImport(file), onCopyLink() }
+
+function element(tag, attributes = {}, children = []) {
+    const node = document.createElement(tag);
+    Object.assign(node, attributes);
+    children.forEach((child) => node.append(child));
+    return node;
+}
+
+export function createSettingsPanel(handlers) {
+    const panel = element('div', { className: 'tree-settings', hidden: true });
+    const message = element('p', { className: 'settings-message' });
+    const refreshers = [];
+
+    function apply(changes) {
+        message.textContent = '';
+        try {
+            handlers.onChange(changes);
+        } catch (e) {
+            message.textContent = e.message;
+        }
+        refresh(); // Show the coerced (or unchanged) values
+    }
+
+    // --- Controls per type ---
+    function numberControl(key, spec) {
+        const isRange = spec.type === 'number';
+        const input = element('input', {
+            type: isRange ? 'range' : 'number',
+            min: spec.min,
+            max: spec.max,
+            step: spec.step || 1
+        });
+        const output = element('output');
+        input.addEventListener('input', () => { output.textContent = input.value; });
+        input.addEventListener('change', () => apply({ [key]: input.value }));
+        refreshers.push((config) => {
+            input.value = config[key];
+            output.textContent = config[key];
+        });
+        return isRange ? [input, output] : [input];
+    }
+
+    function lettersControl(key) {
+        const input = element('input', { type: 'text', spellcheck: false });
+        input.addEventListener('change', () => apply({ [key]: input.value }));
+        refreshers.push((config) => { input.value = config[key].join(''); });
+        return [input];
+    }
+
+    function paletteControl(key) {
+        const list = element('div', { className: 'settings-palette' });
+
+        function read() {
+            return Array.from(list.querySelectorAll('.settings-swatch'), (row) => ({
+                color: row.querySelector('[type=color]').value,
+                weight: row.querySelector('[type=number]').value
+            }));
+        }
+
+        function render(palette) {
+            list.replaceChildren();
+            palette.forEach((entry, i) => {
+                const color = element('input', { type: 'color', value: entry.color, title: 'Color' });
+                const weight = element('input', { type: 'number', value: entry.weight, min: 0, step: 0.05, title: 'Weight' });
+                const remove = element('button', { type: 'button', textContent: '×', title: 'Remove', disabled: palette.length === 1 });
+                color.addEventListener('change', () => apply({ [key]: read() }));
+                weight.addEventListener('change', () => apply({ [key]: read() }));
+                remove.addEventListener('click', () => apply({ [key]: read().filter((_, j) => j !== i) }));
+                list.append(element('div', { className: 'settings-swatch' }, [color, weight, remove]));
+            });
+            const add = element('button', { type: 'button', textContent: '+', title: 'Add color' });
+            add.addEventListener('click', () => apply({ [key]: read().concat({ color: '#ffffff', weight: 1 }) }));
+            list.append(add);
+        }
+
+        refreshers.push((config) => render(config[key]));
+        return [list];
+    }
+
+    function choiceControl(key, spec) {
+        const select = element('select', {}, spec.options.map((option) =>
+            element('option', { value: option, textContent: option.charAt(0).toUpperCase() + option.slice(1) })));
+        select.addEventListener('change', () => apply({ [key]: select.value }));
+        refreshers.push((config) => { select.value = config[key]; });
+        return [select];
+    }
+
+    const controls = {
+        int: numberControl,
+        number: numberControl,
+        letters: lettersControl,
+        palette: paletteControl,
+        choice: choiceControl
+    };
+
+    // --- Layout ---
+    const groups = new Map();
+    CONFIG_KEYS.forEach((key) => {
+        const spec = CONFIG_SCHEMA[key];
+        if (!groups.has(spec.group)) groups.set(spec.group, element('fieldset', {}, [element('legend', { textContent: spec.group })]));
+        // The palette has several inputs, so it can't be a single <label>
+        const row = element(spec.type === 'palette' ? 'div' : 'label', { className: 'settings-row' },
+            [element('span', { textContent: spec.label })]);
+        controls[spec.type](key, spec).forEach((control) => row.append(control));
+        groups.get(spec.group).append(row);
+    });
+
+    const fileInput = element('input', { type: 'file', accept: '.json,application/json', hidden: true });
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+        message.textContent = '';
+        Promise.resolve(handlers.onImport(file))
+            .then(refresh)
+            .catch((e) => { message.textContent = e.message; });
+    });
+
+    function button(label, onClick) {
+        const node = element('button', { type: 'button', textContent: label });
+        node.addEventListener('click', onClick);
+        return node;
+    }
+
+    const actions = element('div', { className: 'settings-actions' }, [
+        button('Export', () => handlers.onExport()),
+        button('Import', () => fileInput.click()),
+        button('Copy link', () => {
+            Promise.resolve(handlers.onCopyLink())
+                .then(() => { message.textContent = 'Link copied'; })
+                .catch((e) => { message.textContent = e.message; });
+        }),
+        button('Reset', () => apply(defaultConfig())),
+        fileInput
+    ]);
+
+    panel.append(element('h2', { textContent: 'Settings' }), ...groups.values(), actions, message);
+
+    function refresh() {
+        const config = handlers.getConfig();
+        refreshers.forEach((update) => update(config));
+    }
+
+    return {
+        element: panel,
+        refresh,
+        get open() {
+            return !panel.hidden;
+        },
+        toggle(open = panel.hidden) {
+            panel.hidden = !open;
+            if (open) refresh();
+        }
+    };
+}
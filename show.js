@@ -0,0 +1,104 @@
+import { resolveTransition } from './transitions.js';
+
+// --- Show Timeline ---
+// A show is a JSON list of steps played one after another, e.g. for a lobby
+// screen nobody interacts with:
+//
+// {
+//   "loop": true,
+//   "steps": [
+//     { "formation": "TREE", "duration": 8, "palette": ["#00ff00", "#ffd700", "#ff0000"] },
+//     { "formation": "TEXT", "text": "Merry\nChristmas", "duration": 6,
+//       "transition": { "easing": "backOut", "stagger": "ripple", "duration": 1.5 } }
+//   ]
+// }
+//
+// Only `formation` and `duration` (seconds) are required. `palette` entries are
+// colors or { "color", "weight" }. What a step does is up to the caller (onStep).
+
+// Check a parsed show and fill in defaults. Throws on anything unusable.
+export function normalizeShow(data) {
+    if (!data || !Array.isArray(data.steps) || data.steps.length === 0) {
+        throw new Error('A show needs a non-empty "steps" list');
+    }
+    const steps = data.steps.map((step, i) => {
+        if (typeof step.formation !== 'string') throw new Error(`Show step ${i} has no formation`);
+        const duration = Number(step.duration);
+        if (!(duration > 0)) throw new Error(`Show step ${i} needs a positive duration`);
+        return {
+            ...step,
+            duration: duration,
+            transition: step.transition ? resolveTransition(step.transition) : null
+        };
+    });
+    return { loop: data.loop !== false, steps: steps };
+}
+
+export function createShowPlayer(data, onStep) {
+    const show = normalizeShow(data);
+    let index = 0;
+    let elapsed = 0;
+    let playing = false;
+    let paused = false;
+
+    function enter(i) {
+        index = i;
+        elapsed = 0;
+        onStep(show.steps[index], index);
+    }
+
+    return {
+        get playing() {
+            return playing;
+        },
+        get paused() {
+            return paused;
+        },
+        get index() {
+            return index;
+        },
+        get steps() {
+            return show.steps;
+        },
+        start() {
+            playing = true;
+            paused = false;
+            enter(0);
+        },
+        stop() {
+            playing = false;
+        },
+        pause() {
+            paused = true;
+        },
+        // Continue with the current step, applying it again (something else may have taken over)
+        resume() {
+            if (!playing || !paused) return;
+            paused = false;
+            onStep(show.steps[index], index);
+        },
+        // Advance by `delta` seconds, entering every step passed on the way
+        update(delta) {
+            if (!playing || paused) return;
+            elapsed += delta;
+            while (playing && elapsed >= show.steps[index].duration) {
+                const overflow = elapsed - show.steps[index].duration;
+                if (index + 1 < show.steps.length) {
+                    enter(index + 1);
+                } else if (show.loop) {
+                    enter(0);
+                } else {
+                    playing = false;
+                    return;
+                }
+                elapsed = overflow;
+            }
+        }
+    };
+}
+
+export async function loadShow(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Failed to load show ${url}: ${response.status}`);
+    return response.json();
+}
@@ -0,0 +1,85 @@
+import * as THREE from 'three';
+import { createWeather, DEFAULT_WEATHER_OPTIONS } from './weather.js';
+
+// --- Snowfall ---
+// Draws the flakes of a weather simulation (see weather.js): drifting on the
+// wind, settling on the tree and the ground, and fading as they melt.
+
+// Options are the simulation's (count, weather, ground, melt, random, ...)
+export const DEFAULT_SNOW_OPTIONS = { ...DEFAULT_WEATHER_OPTIONS };
+
+export function createSnow(options = {}) {
+    const weather = createWeather({ ...DEFAULT_SNOW_OPTIONS, ...options });
+
+    const group = new THREE.Group();
+    const geometry = new THREE.BufferGeometry();
+    // The simulation's own array, so there is nothing to copy
+    geometry.setAttribute('position', new THREE.BufferAttribute(weather.positions, 3));
+    const colors = new Float32Array(weather.capacity * 3).fill(1);
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+
+    const material = new THREE.PointsMaterial({
+        color: 0xffffff,
+        vertexColors: true, // Dimmed while melting (the blending is additive)
+        size: 0.8,
+        transparent: true,
+        opacity: 0.6,
+        blending: THREE.AdditiveBlending
+    });
+    group.add(new THREE.Points(geometry, material));
+
+    function updateDrawRange() {
+        geometry.setDrawRange(0, weather.active);
+    }
+    updateDrawRange();
+
+    // `step` is the elapsed time in 60 fps frames
+    function update(step = 1) {
+        weather.update(step);
+        const { fade, active } = weather;
+        for (let i = 0; i < active; i++) {
+            colors[i * 3] = fade[i];
+            colors[i * 3 + 1] = fade[i];
+            colors[i * 3 + 2] = fade[i];
+        }
+        geometry.attributes.position.needsUpdate = true;
+        geometry.attributes.color.needsUpdate = true;
+    }
+
+    // Only use a fraction (0..1) of the weather's flakes
+    function setDensity(fraction) {
+        weather.setDensity(fraction);
+        updateDrawRange();
+    }
+
+    // One of the presets in weather.js, from 'calm' to 'blizzard'
+    function setWeather(name) {
+        weather.setWeather(name);
+        updateDrawRange();
+    }
+
+    // Blow a gust, a Vector3 in units per frame
+    function gust(vector) {
+        weather.gust(vector.x, vector.y, vector.z);
+    }
+
+    function dispose() {
+        geometry.dispose();
+        material.dispose();
+    }
+
+    return {
+        group,
+        update,
+        setDensity,
+        setWeather,
+        setMelt: weather.setMelt,
+        setCone: weather.setCone,
+        setGround: weather.setGround,
+        gust,
+        get settled() {
+            return weather.settled;
+        },
+        dispose
+    };
+}
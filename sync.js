@@ -0,0 +1,122 @@
+// --- Multi-screen Sync ---
+// A leader broadcasts what it shows; followers mirror it. Messages go through a
+// BroadcastChannel (other tabs and windows of the same browser) and, if a relay
+// URL is given, through the WebSocket relay in tools/sync-relay.mjs (other machines).
+// Every message carries the sender id and a sequence number, so one that arrives
+// over both transports is only handled once.
+
+export const SYNC_ROLES = ['leader', 'follower'];
+export const SYNC_DELAY_MS = 200;       // Lead time for scheduled changes, covers network latency
+const RECONNECT_MS = 2000;
+const CLOCK_SYNC_MS = 10000;
+const CLOCK_SAMPLES = 5;
+
+// Shared time base in milliseconds. Without a relay this is the local epoch
+// clock (the same for all tabs of one machine); with one, the relay's clock.
+export function createSyncClock() {
+    let offset = 0;
+    let samples = [];
+
+    const local = () => performance.timeOrigin + performance.now();
+
+    return {
+        local,
+        now: () => local() + offset,
+        // NTP-style estimate from one round trip; the fastest recent round trip wins
+        addSample(sentAt, serverTime, receivedAt) {
+            const roundTrip = receivedAt - sentAt;
+            samples.push({ roundTrip, offset: serverTime + roundTrip / 2 - receivedAt });
+            samples = samples.slice(-CLOCK_SAMPLES);
+            offset = samples.reduce((best, s) => (s.roundTrip < best.roundTrip ? s : best)).offset;
+        }
+    };
+}
+
+// options: { role, room, relayUrl }
+export function createSync(options) {
+    const { role, room = 'tree', relayUrl = null } = options;
+    if (!SYNC_ROLES.includes(role)) throw new Error(`Unknown sync role: ${role}`);
+
+    const id = Math.random().toString(36).slice(2, 10);
+    const clock = createSyncClock();
+    const handlers = [];
+    const lastSeq = new Map(); // Sender id -> last handled sequence number
+    let seq = 0;
+    let socket = null;
+    let closed = false;
+    let reconnectTimer = null;
+    let clockTimer = null;
+
+    function receive(message) {
+        if (typeof message !== 'object' || message === null || message.from === id || message.room !== room) return;
+        if (message.seq <= (lastSeq.get(message.from) || 0)) return;
+        lastSeq.set(message.from, message.seq);
+        handlers.forEach((handler) => handler(message));
+    }
+
+    const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(`christmas-tree:${room}`) : null;
+    if (channel) channel.onmessage = (event) => receive(event.data);
+
+    function syncClock() {
+        if (socket && socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify({ type: 'time', sentAt: clock.local() }));
+        }
+    }
+
+    function connect() {
+        socket = new WebSocket(`${relayUrl.replace(/\/$/, '')}/${encodeURIComponent(room)}`);
+        socket.onopen = () => {
+            syncClock();
+            clockTimer = setInterval(syncClock, CLOCK_SYNC_MS);
+            handlers.forEach((handler) => handler({ type: 'connected' }));
+        };
+        socket.onmessage = (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (error) {
+                return; // Not ours
+            }
+            if (typeof message !== 'object' || message === null) return;
+            if (message.type === 'time') {
+                clock.addSample(message.sentAt, message.serverTime, clock.local());
+            } else {
+                receive(message);
+            }
+        };
+        socket.onclose = () => {
+            clearInterval(clockTimer);
+            if (!closed) reconnectTimer = setTimeout(connect, RECONNECT_MS);
+        };
+    }
+    if (relayUrl) connect();
+
+    return {
+        role,
+        room,
+        clock,
+        get isLeader() {
+            return role === 'leader';
+        },
+        get connected() {
+            return socket !== null && socket.readyState === WebSocket.OPEN;
+        },
+        // Broadcast a message ({ type, ... }) to everyone else in the room
+        send(message) {
+            const packet = { ...message, from: id, role: role, room: room, seq: ++seq };
+            if (channel) channel.postMessage(packet);
+            if (socket && socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(packet));
+        },
+        // Also called with { type: 'connected' } whenever the relay (re)connects
+        onMessage(handler) {
+            handlers.push(handler);
+        },
+        close() {
+            closed = true;
+            clearTimeout(reconnectTimer);
+            clearInterval(clockTimer);
+            if (channel) channel.close();
+            if (socket) socket.close();
+        }
+    };
+}
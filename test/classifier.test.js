@@ -0,0 +1,161 @@
+// Custom gesture training and classification on synthetic landmarks: node --test
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeLandmarks, parseGestureModel, createGestureModel } from '../classifier.js';
+import { createGestureRecognizer } from '../gestures.js';
+import { createRandom } from '../random.js';
+
+const BASE_X = [-0.06, -0.02, 0.02, 0.06]; // Index, middle, ring, pinky knuckles
+
+// 21 landmarks of an upright hand. `fingers` gives how far each of index, middle,
+// ring and pinky is extended (0 curled .. 1 straight); `size` scales the hand around
+// its wrist at (x, y), `angle` turns it (radians), `noise` jitters every point.
+function hand({ fingers = [1, 1, 1, 1], x = 0.5, y = 0.8, size = 1, angle = 0, noise = 0, random = Math.random } = {}) {
+    const local = Array.from({ length: 21 }, () => [0, 0]);
+    fingers.forEach((extension, i) => {
+        const base = 5 + i * 4;
+        const curl = (straight, curled) => curled + (straight - curled) * extension;
+        local[base] = [BASE_X[i], -0.2];
+        local[base + 1] = [BASE_X[i], curl(-0.27, -0.22)];
+        local[base + 2] = [BASE_X[i], curl(-0.33, -0.17)];
+        local[base + 3] = [BASE_X[i], curl(-0.4, -0.12)];
+    });
+    local[4] = [-0.2, -0.1];
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return local.map(([dx, dy], i) => {
+        const jitter = () => (i === 0 ? 0 : (random() - 0.5) * noise);
+        return {
+            x: x + (dx * cos - dy * sin) * size + jitter(),
+            y: y + (dx * sin + dy * cos) * size + jitter(),
+            z: 0
+        };
+    });
+}
+
+const SPREAD = [1, 1, 1, 1];
+const HORNS = [1, 0, 0, 1];
+const POINT = [1, 0, 0, 0];
+
+// A model with `count` slightly different samples of each labelled pose
+function train(labelled, count = 5, options = {}) {
+    const model = createGestureModel(null, options);
+    const random = createRandom('classifier-test');
+    Object.entries(labelled).forEach(([name, fingers]) => {
+        for (let i = 0; i < count; i++) model.addSample(name, hand({ fingers, noise: 0.01, random }), 'Right');
+    });
+    return model;
+}
+
+test('poses are normalized for position, size and the left hand', () => {
+    const pose = normalizeLandmarks(hand());
+    const moved = normalizeLandmarks(hand({ x: 0.2, y: 0.4, size: 0.5 }));
+    pose.forEach((value, i) => assert.ok(Math.abs(value - moved[i]) < 1e-9));
+    assert.equal(pose.length, 63);
+
+    const left = hand().map((point) => ({ ...point, x: 1 - point.x })); // Mirror image
+    const mirrored = normalizeLandmarks(left, 'Left');
+    pose.forEach((value, i) => assert.ok(Math.abs(value - mirrored[i]) < 1e-9));
+});
+
+test('trained gestures are recognized, wherever the hand is', () => {
+    const model = train({ Spread: SPREAD, Horns: HORNS, Point: POINT });
+    assert.deepEqual(model.names, ['Spread', 'Horns', 'Point']);
+    assert.deepEqual(model.list().map(({ samples }) => samples), [5, 5, 5]);
+
+    assert.equal(model.classify(hand({ fingers: HORNS }), 'Right').gesture, 'Horns');
+    assert.equal(model.classify(hand({ fingers: POINT, x: 0.2, size: 0.6 }), 'Right').gesture, 'Point');
+    const spread = model.classify(hand({ fingers: SPREAD, y: 0.3 }), 'Right');
+    assert.equal(spread.gesture, 'Spread');
+    assert.ok(spread.confidence > 0.9);
+});
+
+test('confidence falls with the distance to the samples, down to unknown', () => {
+    const model = train({ Spread: SPREAD });
+    const confidence = (fingers) => model.classify(hand({ fingers }), 'Right').confidence;
+    const exact = confidence(SPREAD);
+    const bent = confidence([1, 1, 1, 0.6]); // Pinky half down
+    assert.ok(exact > 0.95);
+    assert.ok(bent > 0 && bent < exact);
+    assert.ok(confidence([1, 1, 1, 0.3]) < bent);
+    assert.equal(confidence([1, 1, 1, 0]), 0); // Pinky down: past maxDistance
+    // Too far from every sample: no gesture at all
+    assert.deepEqual(model.classify(hand({ fingers: [0, 0, 0, 0] }), 'Right'), { gesture: null, confidence: 0 });
+    assert.deepEqual(model.classify(hand({ angle: Math.PI / 2 }), 'Right'), { gesture: null, confidence: 0 });
+});
+
+test('maxDistance sets where unknown begins', () => {
+    const strict = train({ Spread: SPREAD }, 5, { maxDistance: 0.5 });
+    const loose = train({ Spread: SPREAD }, 5, { maxDistance: 5 });
+    const pose = hand({ fingers: [1, 1, 1, 0.6] });
+    assert.equal(strict.classify(pose, 'Right').gesture, null);
+    assert.equal(loose.classify(pose, 'Right').gesture, 'Spread');
+});
+
+test('an untrained model knows no gesture', () => {
+    const model = createGestureModel();
+    assert.deepEqual(model.classify(hand(), 'Right'), { gesture: null, confidence: 0 });
+    model.addSample('Spread', hand(), 'Right');
+    model.remove('Spread');
+    assert.deepEqual(model.classify(hand(), 'Right'), { gesture: null, confidence: 0 });
+});
+
+test('a split vote lowers the confidence', () => {
+    const model = createGestureModel(null, { k: 3 });
+    model.addSample('Spread', hand(), 'Right');
+    model.addSample('Spread', hand(), 'Right');
+    model.addSample('Horns', hand({ fingers: [1, 1, 1, 0.9] }), 'Right');
+    const result = model.classify(hand(), 'Right');
+    assert.equal(result.gesture, 'Spread');
+    assert.ok(Math.abs(result.confidence - 2 / 3) < 1e-9);
+});
+
+test('models load from feature vectors and survive a JSON round trip', () => {
+    const model = train({ Spread: SPREAD, Horns: HORNS }, 3);
+    model.setAction('Horns', { type: 'text', value: 'Rock on' });
+    model.replaceBuiltIn = true;
+    const copy = createGestureModel(JSON.parse(JSON.stringify(model)));
+    assert.deepEqual(copy.list(), model.list());
+    assert.equal(copy.replaceBuiltIn, true);
+    assert.deepEqual(copy.getAction('Horns'), { type: 'text', value: 'Rock on' });
+    assert.equal(copy.classify(hand({ fingers: HORNS }), 'Right').gesture, 'Horns');
+
+    // Raw feature vectors, labelled by the gesture they belong to
+    const vectors = createGestureModel({
+        version: 1,
+        gestures: [{ name: 'Point', action: { type: 'formation', value: 'HEART' }, samples: [normalizeLandmarks(hand({ fingers: POINT }))] }]
+    }, { k: 1 });
+    assert.equal(vectors.classify(hand({ fingers: POINT, size: 2 }), 'Right').gesture, 'Point');
+});
+
+test('gesture files are checked', () => {
+    const gesture = (name, samples = []) => ({ name, action: { type: 'snapshot' }, samples });
+    assert.throws(() => parseGestureModel({}), /Not a gesture file/);
+    assert.throws(() => parseGestureModel({ version: 99, gestures: [] }), /Unsupported gesture file version/);
+    assert.throws(() => parseGestureModel({ version: 1, gestures: [gesture('fist')] }), /built-in gesture/);
+    assert.throws(() => parseGestureModel({ version: 1, gestures: [{ name: 'Wave', action: { type: 'dance' } }] }), /Unknown action/);
+    const parsed = parseGestureModel({ version: 1, gestures: [gesture(' Wave ', [new Array(63).fill(0), [1, 2, 3], new Array(63).fill(NaN)])] });
+    assert.equal(parsed.gestures[0].name, 'Wave');
+    assert.equal(parsed.gestures[0].samples.length, 1);
+});
+
+test('only the latest samples are kept', () => {
+    const model = createGestureModel(null, { maxSamples: 3 });
+    for (let i = 0; i < 3; i++) model.addSample('Spread', hand({ fingers: [0, 0, 0, 0] }), 'Right');
+    for (let i = 0; i < 3; i++) model.addSample('Spread', hand(), 'Right');
+    assert.equal(model.list()[0].samples, 3);
+    assert.equal(model.classify(hand({ fingers: [0, 0, 0, 0] }), 'Right').gesture, null);
+});
+
+test('the recognizer switches to a confident custom gesture only', () => {
+    const model = train({ Horns: HORNS });
+    const recognize = (fingers) => {
+        const recognizer = createGestureRecognizer({ classifier: model });
+        const result = { landmarks: [hand({ fingers })], handedness: [[{ categoryName: 'Right', score: 0.9 }]] };
+        let last = null;
+        for (let t = 0; t < 1000; t += 16) last = recognizer.update(result, t);
+        return last.gesture;
+    };
+    assert.equal(recognize(HORNS), 'Horns');
+    assert.equal(recognize(SPREAD), 'OPEN'); // Unlike any sample, so the built-in gestures decide
+});
@@ -0,0 +1,100 @@
+// Settings parsing, URL params and theme palettes: node --test
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    CONFIG_SCHEMA, defaultConfig, parseValue, normalizeConfig, resolveConfig, configDiff,
+    configFromParams, writeConfigParams
+} from '../config.js';
+import { THEMES } from '../lights.js';
+
+// Resolve a config the way the page does, from a query string over stored settings
+function fromURL(query, stored = {}) {
+    return resolveConfig(stored, configFromParams(new URLSearchParams(query)));
+}
+
+test('numbers are coerced and clamped to their range', () => {
+    assert.equal(parseValue('particles', '5000'), 5000);
+    assert.equal(parseValue('strands', '2.6'), 3);
+    assert.equal(parseValue('particles', '5'), CONFIG_SCHEMA.particles.min);
+    assert.equal(parseValue('bgNodes', 1e9), CONFIG_SCHEMA.bgNodes.max);
+    assert.equal(parseValue('bloomStrength', '0.75'), 0.75);
+    assert.throws(() => parseValue('particles', 'many'), /Particles: Not a number: many/);
+    assert.throws(() => parseValue('particles', ''), /Not a number/);
+    assert.throws(() => parseValue('treeHeight', 'Infinity'), /Not a number/);
+    assert.throws(() => parseValue('nothing', 1), /Unknown setting: nothing/);
+});
+
+test('letters, palettes and choices are parsed', () => {
+    assert.deepEqual(parseValue('letters', 'A B🎄'), ['A', 'B', '🎄']);
+    assert.deepEqual(parseValue('palette', '0f0:0.5,FFD700'), [
+        { color: '#00ff00', weight: 0.5 },
+        { color: '#ffd700', weight: 1 }
+    ]);
+    assert.deepEqual(parseValue('palette', ['#abc']), [{ color: '#aabbcc', weight: 1 }]);
+    assert.equal(parseValue('weather', 'blizzard'), 'blizzard');
+    assert.throws(() => parseValue('letters', '  '), /At least one letter/);
+    assert.throws(() => parseValue('palette', 'red'), /Invalid color: red/);
+    assert.throws(() => parseValue('palette', 'fff:-1'), /Invalid color weight/);
+    assert.throws(() => parseValue('weather', 'hail'), /Expected one of/);
+});
+
+test('normalizeConfig drops unknown keys and throws on bad values unless lenient', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    assert.deepEqual(normalizeConfig({ particles: '200', colour: 'red' }), { particles: 200 });
+    assert.throws(() => normalizeConfig({ particles: 'lots' }), /Not a number/);
+    assert.deepEqual(normalizeConfig({ particles: 'lots', strands: '2' }, true), { strands: 2 });
+    assert.equal(warn.mock.callCount(), 1);
+    assert.deepEqual(normalizeConfig(null), {});
+});
+
+test('URL params override stored settings, and bad ones are skipped', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const config = fromURL('particles=8000&treeHeight=999&bloomRadius=x&seed=abc', { particles: 4000, strands: 6 });
+    assert.equal(config.particles, 8000);
+    assert.equal(config.treeHeight, CONFIG_SCHEMA.treeHeight.max);
+    assert.equal(config.bloomRadius, CONFIG_SCHEMA.bloomRadius.default);
+    assert.equal(config.strands, 6);
+    assert.equal('seed' in config, false);
+});
+
+test('a theme brings its palette unless the same source gives one', () => {
+    assert.deepEqual(fromURL('theme=icy').palette, THEMES.icy.palette);
+    assert.deepEqual(fromURL('theme=icy&palette=ff0000').palette, [{ color: '#ff0000', weight: 1 }]);
+    // A theme in the URL replaces a palette stored earlier, a palette in the URL the stored theme's
+    assert.deepEqual(fromURL('theme=gold', { palette: 'ff0000' }).palette, THEMES.gold.palette);
+    assert.deepEqual(fromURL('palette=00f', { theme: 'gold' }).palette, [{ color: '#0000ff', weight: 1 }]);
+    // 'brand' has no palette of its own and keeps the current one
+    assert.deepEqual(fromURL('theme=brand').palette, CONFIG_SCHEMA.palette.default);
+});
+
+test('resolveConfig does not share the default or theme palettes', () => {
+    const config = resolveConfig({ theme: 'icy' });
+    config.palette[0].weight = 0;
+    assert.notEqual(THEMES.icy.palette[0].weight, 0);
+    defaultConfig().palette[0].weight = 0;
+    assert.notEqual(CONFIG_SCHEMA.palette.default[0].weight, 0);
+});
+
+test('configDiff keeps only what differs from the defaults and the theme', () => {
+    assert.deepEqual(configDiff(defaultConfig()), {});
+    assert.deepEqual(configDiff(resolveConfig({ theme: 'icy', particles: 500 })), { theme: 'icy', particles: 500 });
+    const custom = resolveConfig({ theme: 'icy', palette: 'fff' });
+    assert.deepEqual(configDiff(custom), { theme: 'icy', palette: [{ color: '#ffffff', weight: 1 }] });
+});
+
+test('URL params written from a config restore the same config', () => {
+    const config = fromURL('theme=gold&particles=700&letters=XO&palette=ff0000:0.25,00ff00&weather=calm');
+    const params = writeConfigParams(config, new URLSearchParams('seed=abc&bgNodes=5'));
+    assert.equal(params.get('particles'), '700');
+    assert.equal(params.get('palette'), 'ff0000:0.25,00ff00');
+    assert.equal(params.has('bgNodes'), false); // Back to the default, so removed
+    assert.equal(params.get('seed'), 'abc'); // Not a setting, left alone
+    assert.deepEqual(fromURL(params.toString()), config);
+});
+
+test('a theme palette is implied and not written to the URL', () => {
+    const params = writeConfigParams(fromURL('theme=icy'), new URLSearchParams('palette=fff'));
+    assert.equal(params.get('theme'), 'icy');
+    assert.equal(params.has('palette'), false);
+    assert.deepEqual(fromURL(params.toString()).palette, THEMES.icy.palette);
+});
@@ -0,0 +1,84 @@
+// Formation layouts from a fixed seed, compared with test/geometry.snapshot.json:
+// node --test. After an intended layout change, rewrite the snapshot with
+// UPDATE_SNAPSHOTS=1 npm test and review its diff.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import * as shapes from '../geometry.js';
+import { createRandom, hashSeed } from '../random.js';
+
+const SNAPSHOT_FILE = new URL('./geometry.snapshot.json', import.meta.url);
+const SEED = 'snapshot';
+const COUNT = 500;
+
+const GENERATORS = ['tree', 'explode', 'sphere', 'star', 'heart', 'snowflake', 'gift', 'galaxy'];
+
+function context(name) {
+    return {
+        random: createRandom(SEED, 'formation', name),
+        treeHeight: 40,
+        treeRadius: 15,
+        explosionRadius: 80
+    };
+}
+
+// A 20 x 10 mask with a filled rectangle and an RGBA image with a bright and a dark half
+function mask() {
+    const data = new Uint8Array(20 * 10);
+    for (let y = 2; y < 8; y++) for (let x = 3; x < 17; x++) data[y * 20 + x] = 1;
+    return data;
+}
+function pixels() {
+    const data = new Uint8ClampedArray(8 * 4 * 4);
+    for (let i = 0; i < 32; i++) data.set(i % 8 < 4 ? [255, 200, 0, 255] : [20, 40, 200, 255], i * 4);
+    return data;
+}
+
+const LAYOUTS = {
+    ...Object.fromEntries(GENERATORS.map((name) => [name, () => shapes[name](COUNT, context(name))])),
+    layoutMask: () => shapes.layoutMask(mask(), 20, 10, COUNT,
+        { scale: 1, maxWidth: 30, maxHeight: 30, depth: 2 }, createRandom(SEED, 'mask')),
+    layoutImage: () => {
+        const { positions, colors } = shapes.layoutImage(pixels(), 8, 4, COUNT,
+            { maxWidth: 40, maxHeight: 40, relief: 5 }, createRandom(SEED, 'image'));
+        return Float32Array.from([...positions, ...colors]);
+    }
+};
+
+// Rounded, so the snapshot doesn't hinge on the last bits of Math.sin and friends
+function summarize(values) {
+    const rounded = Array.from(values, (v) => Math.round(v * 1e3) / 1e3 + 0); // + 0 turns -0 into 0, like JSON does
+    return { hash: hashSeed(rounded.join(',')), first: rounded.slice(0, 6) };
+}
+
+const actual = {};
+Object.keys(LAYOUTS).forEach((name) => {
+    actual[name] = summarize(LAYOUTS[name]());
+});
+
+if (process.env.UPDATE_SNAPSHOTS) writeFileSync(SNAPSHOT_FILE, `${JSON.stringify(actual, null, 4)}\n`);
+const snapshot = existsSync(SNAPSHOT_FILE) ? JSON.parse(readFileSync(SNAPSHOT_FILE, 'utf8')) : {};
+
+Object.keys(LAYOUTS).forEach((name) => {
+    test(`${name} matches its snapshot`, () => {
+        assert.deepEqual(actual[name], snapshot[name]);
+    });
+});
+
+test('the same seed gives the same layout, another seed a different one', () => {
+    GENERATORS.forEach((name) => {
+        const a = shapes[name](COUNT, context(name));
+        const b = shapes[name](COUNT, context(name));
+        const c = shapes[name](COUNT, { ...context(name), random: createRandom('other', 'formation', name) });
+        assert.deepEqual(a, b, name);
+        assert.notDeepEqual(a, c, name);
+    });
+});
+
+test('every generator fills all positions with finite numbers', () => {
+    GENERATORS.forEach((name) => {
+        const positions = shapes[name](COUNT, context(name));
+        assert.equal(positions.length, COUNT * 3, name);
+        assert.ok(positions.every(Number.isFinite), name);
+    });
+});
@@ -0,0 +1,128 @@
+// Gesture recognition on synthetic landmarks: node --test
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreFrame, createGestureRecognizer } from '../gestures.js';
+
+const BASE_X = [-0.06, -0.02, 0.02, 0.06]; // Index, middle, ring, pinky knuckles
+
+// 21 landmarks of an upright hand. `fingers` says which of index, middle, ring
+// and pinky are extended; `pinch` puts the thumb tip on the index tip.
+function hand({ fingers = [true, true, true, true], pinch = false, x = 0.5 } = {}) {
+    const points = Array.from({ length: 21 }, () => ({ x: 0, y: 0, z: 0 }));
+    const at = (dx, dy) => ({ x: x + dx, y: 0.8 + dy, z: 0 });
+    points[0] = at(0, 0);
+    fingers.forEach((extended, i) => {
+        const base = 5 + i * 4;
+        points[base] = at(BASE_X[i], -0.2);
+        points[base + 1] = at(BASE_X[i], extended ? -0.27 : -0.22);
+        points[base + 2] = at(BASE_X[i], extended ? -0.33 : -0.17);
+        points[base + 3] = at(BASE_X[i], extended ? -0.4 : -0.12);
+    });
+    points[4] = pinch ? { ...points[8], x: points[8].x + 0.01 } : at(-0.2, -0.1);
+    return points;
+}
+
+const OPEN = { fingers: [true, true, true, true] };
+const FIST = { fingers: [false, false, false, false] };
+const VICTORY = { fingers: [true, true, false, false] };
+const OK = { fingers: [true, true, true, true], pinch: true };
+
+function frame(...hands) {
+    return {
+        landmarks: hands.map(({ shape }) => hand(shape)),
+        handedness: hands.map(({ side }) => [{ categoryName: side, score: 0.9 }])
+    };
+}
+
+const one = (shape) => frame({ shape, side: 'Right' });
+const none = () => ({ landmarks: [], handedness: [] });
+
+// Feed `result` every 16 ms from `start` for `durationMs`; returns the last recognition
+// and the time of the first change (or null)
+function feed(recognizer, result, start, durationMs) {
+    let last = null;
+    let changedAt = null;
+    for (let t = start; t < start + durationMs; t += 16) {
+        last = recognizer.update(result, t);
+        if (last.changed && changedAt === null) changedAt = t;
+    }
+    return { last, changedAt };
+}
+
+test('single-hand shapes score as their gesture', () => {
+    const best = (shape) => {
+        const { scores } = scoreFrame(one(shape));
+        return Object.keys(scores).reduce((a, b) => (scores[b] > scores[a] ? b : a));
+    };
+    assert.equal(best(OPEN), 'OPEN');
+    assert.equal(best(FIST), 'FIST');
+    assert.equal(best(VICTORY), 'VICTORY');
+    assert.equal(best(OK), 'OK');
+    assert.equal(scoreFrame(none()).scores.NONE, 1);
+});
+
+test('a gesture fires only after it has led for holdMs', () => {
+    const recognizer = createGestureRecognizer({ holdMs: 250 });
+    const { last, changedAt } = feed(recognizer, one(OPEN), 0, 1000);
+    assert.equal(last.gesture, 'OPEN');
+    assert.ok(changedAt >= 250, `changed at ${changedAt} ms`);
+    assert.ok(changedAt < 600, `changed at ${changedAt} ms`);
+});
+
+test('short flickers do not switch the gesture (hysteresis)', () => {
+    const recognizer = createGestureRecognizer({ holdMs: 250, noneHoldMs: 500 });
+    feed(recognizer, one(OPEN), 0, 1000);
+
+    // A fist for less than holdMs
+    let result = feed(recognizer, one(FIST), 1000, 150);
+    assert.equal(result.changedAt, null);
+    result = feed(recognizer, one(OPEN), 1150, 500);
+    assert.equal(result.last.gesture, 'OPEN');
+
+    // Losing the hand briefly
+    result = feed(recognizer, none(), 1650, 300);
+    assert.equal(result.last.gesture, 'OPEN');
+
+    // Losing it for good
+    result = feed(recognizer, none(), 1950, 1500);
+    assert.equal(result.last.gesture, 'NONE');
+});
+
+test('an ambiguous hand below enterThreshold never fires', () => {
+    const recognizer = createGestureRecognizer({ enterThreshold: 0.95 });
+    // Two fingers up and two down, not a victory: OPEN and FIST both score 0.5
+    const { last } = feed(recognizer, one({ fingers: [true, false, true, false] }), 0, 1000);
+    assert.equal(last.gesture, 'NONE');
+});
+
+test('hands are ordered left first and keep their handedness', () => {
+    const { hands } = scoreFrame(frame(
+        { shape: FIST, side: 'Right' },
+        { shape: OPEN, side: 'Left' }
+    ));
+    assert.deepEqual(hands.map((h) => h.handedness), ['Left', 'Right']);
+    assert.deepEqual(hands.map((h) => h.gesture), ['OPEN', 'FIST']);
+
+    // Older tasks-vision versions call the field `handednesses`
+    const legacy = one(OPEN);
+    legacy.handednesses = legacy.handedness;
+    delete legacy.handedness;
+    assert.equal(scoreFrame(legacy).hands[0].handedness, 'Right');
+});
+
+test('two hands with the same gesture make a BOTH_* gesture', () => {
+    const both = (shape) => frame({ shape, side: 'Left' }, { shape, side: 'Right' });
+    [['OPEN', OPEN], ['FIST', FIST], ['VICTORY', VICTORY], ['OK', OK]].forEach(([name, shape]) => {
+        const { scores } = scoreFrame(both(shape));
+        assert.ok(scores[`BOTH_${name}`] > 0.9, `BOTH_${name}: ${scores[`BOTH_${name}`]}`);
+        assert.ok(scores[name] < 0.1, `${name}: ${scores[name]}`);
+    });
+
+    // Different gestures: no BOTH_*, each single gesture counts
+    const { scores } = scoreFrame(frame({ shape: OPEN, side: 'Left' }, { shape: FIST, side: 'Right' }));
+    assert.ok(scores.BOTH_OPEN < 0.1 && scores.BOTH_FIST < 0.1);
+    assert.ok(scores.OPEN > 0.9 && scores.FIST > 0.9);
+
+    const recognizer = createGestureRecognizer();
+    assert.equal(feed(recognizer, both(OPEN), 0, 1000).last.gesture, 'BOTH_OPEN');
+});
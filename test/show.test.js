@@ -0,0 +1,113 @@
+// Show timelines and step scheduling: node --test
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { normalizeShow, createShowPlayer } from '../show.js';
+
+const SHOW = {
+    steps: [
+        { formation: 'TREE', duration: 2 },
+        { formation: 'TEXT', text: 'Hi', duration: 1, transition: { easing: 'backOut', duration: 1.5 } },
+        { formation: 'HEART', duration: '3' }
+    ]
+};
+
+// A player that records every step it enters as "index:formation"
+function record(data) {
+    const entered = [];
+    const player = createShowPlayer(data, (step, index) => entered.push(`${index}:${step.formation}`));
+    return { player, entered };
+}
+
+// Advance in 1/60 s frames, as the animation loop does
+function run(player, seconds) {
+    for (let i = 0; i < Math.round(seconds * 60); i++) player.update(1 / 60);
+}
+
+test('normalizeShow fills in defaults and resolves transitions', () => {
+    const show = normalizeShow(SHOW);
+    assert.equal(show.loop, true);
+    assert.equal(normalizeShow({ ...SHOW, loop: false }).loop, false);
+    assert.equal(show.steps[2].duration, 3);
+    assert.equal(show.steps[0].transition, null);
+    assert.equal(show.steps[1].transition.easing, 'backOut');
+    assert.equal(show.steps[1].transition.stagger, 'none');
+    assert.equal(show.steps[1].text, 'Hi');
+});
+
+test('normalizeShow rejects unusable shows', () => {
+    assert.throws(() => normalizeShow(null), /non-empty "steps"/);
+    assert.throws(() => normalizeShow({ steps: [] }), /non-empty "steps"/);
+    assert.throws(() => normalizeShow({ steps: [{ duration: 1 }] }), /step 0 has no formation/);
+    assert.throws(() => normalizeShow({ steps: [{ formation: 'TREE', duration: 0 }] }), /step 0 needs a positive duration/);
+    assert.throws(() => normalizeShow({ steps: [{ formation: 'TREE', duration: 'long' }] }), /positive duration/);
+    assert.throws(() => normalizeShow({ steps: [{ formation: 'TREE', duration: 1, transition: { easing: 'nope' } }] }), /Unknown easing/);
+});
+
+test('the bundled lobby show is valid', () => {
+    const lobby = JSON.parse(readFileSync(new URL('../shows/lobby.json', import.meta.url), 'utf8'));
+    assert.ok(normalizeShow(lobby).steps.length > 0);
+});
+
+test('steps are entered after their durations and the show loops', () => {
+    const { player, entered } = record(SHOW);
+    player.start();
+    assert.deepEqual(entered, ['0:TREE']);
+    run(player, 1.9);
+    assert.equal(player.index, 0);
+    run(player, 0.2);
+    assert.deepEqual(entered, ['0:TREE', '1:TEXT']);
+    run(player, 1);
+    assert.equal(player.index, 2);
+    run(player, 3);
+    assert.deepEqual(entered, ['0:TREE', '1:TEXT', '2:HEART', '0:TREE']);
+    assert.equal(player.playing, true);
+});
+
+test('a long update enters every step passed on the way and keeps the overflow', () => {
+    const { player, entered } = record(SHOW);
+    player.start();
+    player.update(3.5); // Through TREE (2) and TEXT (1), 0.5 s into HEART
+    assert.deepEqual(entered, ['0:TREE', '1:TEXT', '2:HEART']);
+    player.update(2.4);
+    assert.equal(player.index, 2);
+    player.update(0.2);
+    assert.equal(player.index, 0);
+});
+
+test('a show without loop stops after its last step', () => {
+    const { player, entered } = record({ ...SHOW, loop: false });
+    player.start();
+    player.update(10);
+    assert.equal(player.playing, false);
+    assert.equal(player.index, 2);
+    player.update(10);
+    assert.deepEqual(entered, ['0:TREE', '1:TEXT', '2:HEART']);
+});
+
+test('pausing holds the current step and resuming applies it again', () => {
+    const { player, entered } = record(SHOW);
+    player.start();
+    player.update(1);
+    player.pause();
+    player.update(5);
+    assert.equal(player.paused, true);
+    assert.deepEqual(entered, ['0:TREE']);
+    player.resume();
+    assert.deepEqual(entered, ['0:TREE', '0:TREE']);
+    player.update(1.5); // The second already spent before pausing still counts
+    assert.equal(player.index, 1);
+    player.resume(); // Not paused, nothing happens
+    assert.deepEqual(entered, ['0:TREE', '0:TREE', '1:TEXT']);
+});
+
+test('nothing happens before start or after stop', () => {
+    const { player, entered } = record(SHOW);
+    player.update(5);
+    assert.deepEqual(entered, []);
+    player.start();
+    player.stop();
+    player.update(5);
+    player.resume();
+    assert.deepEqual(entered, ['0:TREE']);
+});
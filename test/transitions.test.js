@@ -0,0 +1,76 @@
+// Transition options and stagger delays: node --test
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_TRANSITION, resolveTransition, staggerDelays, particleProgress } from '../transitions.js';
+import { createRandom } from '../random.js';
+
+// Flat xyz positions from [x, y, z] points
+const flat = (...points) => Float32Array.from(points.flat());
+
+test('resolveTransition fills in the defaults without touching its argument', () => {
+    const options = { easing: 'backOut' };
+    const resolved = resolveTransition(options);
+    assert.deepEqual(resolved, { ...DEFAULT_TRANSITION, easing: 'backOut', spread: 0 }); // No stagger, no spread
+    assert.deepEqual(options, { easing: 'backOut' });
+    assert.equal(resolveTransition().duration, DEFAULT_TRANSITION.duration);
+});
+
+test('resolveTransition rejects unknown easings and staggers', () => {
+    assert.throws(() => resolveTransition({ easing: 'bounce' }), /Unknown easing: bounce/);
+    assert.throws(() => resolveTransition({ stagger: 'sideways' }), /Unknown stagger: sideways/);
+});
+
+test('resolveTransition keeps a zero duration and replaces invalid ones', () => {
+    assert.equal(resolveTransition({ duration: 0 }).duration, 0.001);
+    assert.equal(resolveTransition({ duration: -2 }).duration, 0.001);
+    assert.equal(resolveTransition({ duration: '1.5' }).duration, 1.5);
+    assert.equal(resolveTransition({ duration: 'slow' }).duration, DEFAULT_TRANSITION.duration);
+    assert.equal(resolveTransition({ duration: Infinity }).duration, DEFAULT_TRANSITION.duration);
+});
+
+test('resolveTransition clamps the spread and drops it without a stagger', () => {
+    assert.equal(resolveTransition({ spread: 0.5 }).spread, 0);
+    assert.equal(resolveTransition({ stagger: 'rise', spread: 0.5 }).spread, 0.5);
+    assert.equal(resolveTransition({ stagger: 'rise', spread: 2 }).spread, 0.95);
+    assert.equal(resolveTransition({ stagger: 'rise', spread: -1 }).spread, 0);
+    assert.equal(resolveTransition({ swirl: 'lots' }).swirl, 0);
+});
+
+test('rise, fall and ripple delays follow the target positions', () => {
+    const positions = flat([0, -2, 0], [0, 0, 0], [3, 2, 4]);
+    assert.deepEqual([...staggerDelays('none', positions, 3)], [0, 0, 0]);
+    assert.deepEqual([...staggerDelays('rise', positions, 3)], [0, 0.5, 1]);
+    assert.deepEqual([...staggerDelays('fall', positions, 3)], [1, 0.5, 0]);
+    const ripple = staggerDelays('ripple', positions, 3);
+    assert.equal(ripple[1], 0); // The center starts first
+    assert.equal(ripple[2], 1);
+    assert.ok(Math.abs(ripple[0] - 2 / Math.hypot(3, 2, 4)) < 1e-6);
+});
+
+test('delays are all zero when every particle is at the same height', () => {
+    assert.deepEqual([...staggerDelays('rise', flat([1, 5, 0], [-1, 5, 2]), 2)], [0, 0]);
+});
+
+test('random delays are reproducible with a seeded generator', () => {
+    const positions = new Float32Array(300);
+    const first = staggerDelays('random', positions, 100, createRandom('seed', 'stagger'));
+    const second = staggerDelays('random', positions, 100, createRandom('seed', 'stagger'));
+    const other = staggerDelays('random', positions, 100, createRandom('other', 'stagger'));
+    assert.deepEqual(first, second);
+    assert.notDeepEqual(first, other);
+    assert.ok(first.every((delay) => delay >= 0 && delay < 1));
+});
+
+test('staggerDelays writes into the given array', () => {
+    const out = new Float32Array(2);
+    assert.equal(staggerDelays('rise', flat([0, 0, 0], [0, 1, 0]), 2, Math.random, out), out);
+    assert.deepEqual([...out], [0, 1]);
+});
+
+test('a delayed particle starts later and still arrives at the end', () => {
+    const transition = resolveTransition({ easing: 'linear', stagger: 'rise', spread: 0.5 });
+    assert.equal(particleProgress(0.25, 1, transition), 0);
+    assert.equal(particleProgress(0.5, 0, transition), 1);
+    assert.equal(particleProgress(0.75, 1, transition), 0.5);
+    assert.equal(particleProgress(1, 1, transition), 1);
+});
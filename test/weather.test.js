@@ -0,0 +1,190 @@
+// Snowfall simulation with a seeded PRNG and a fixed step: node --test
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { WEATHER_PRESETS, createWeather, createSwipeTracker } from '../weather.js';
+import { createRandom } from '../random.js';
+
+function weather(options = {}, seed = 'weather-test') {
+    return createWeather({ count: 200, random: createRandom(seed), ...options });
+}
+
+// Advance by `seconds` in 60 fps frames; `each` is called after every frame
+function run(snow, seconds, each = () => {}) {
+    for (let frame = 1; frame <= Math.round(seconds * 60); frame++) {
+        snow.update(1);
+        each(frame / 60);
+    }
+}
+
+// Positions of the active flakes as [x, y, z]
+function flakes(snow) {
+    return Array.from({ length: snow.active }, (_, i) => Array.from(snow.positions.subarray(i * 3, i * 3 + 3)));
+}
+
+test('the same seed gives the same snowfall', () => {
+    const a = weather();
+    const b = weather();
+    const c = weather({}, 'other');
+    run(a, 2);
+    run(b, 2);
+    run(c, 2);
+    assert.deepEqual(a.positions, b.positions);
+    assert.notDeepEqual(a.positions, c.positions);
+});
+
+test('presets scale the number of flakes', () => {
+    const snow = weather();
+    assert.equal(snow.capacity, 200 * WEATHER_PRESETS.blizzard.flakes);
+    assert.equal(snow.active, 200);
+    snow.setWeather('calm');
+    assert.equal(snow.weather, 'calm');
+    assert.equal(snow.active, 50);
+    snow.setWeather('blizzard');
+    assert.equal(snow.active, 600);
+    snow.setDensity(0.5);
+    assert.equal(snow.active, 300);
+    assert.throws(() => snow.setWeather('hail'), /Unknown weather: hail/);
+    assert.throws(() => weather({ weather: 'hail' }), /Unknown weather: hail/);
+});
+
+test('heavier weather falls faster and blows further', () => {
+    // Average drop and drift of the same 50 flakes (calm has no more) once they
+    // have picked up speed, leaving out any that fell through and started over
+    const motion = (name) => {
+        const snow = weather({ weather: name, ground: null });
+        run(snow, 3);
+        const before = flakes(snow).slice(0, 50);
+        run(snow, 1);
+        const after = flakes(snow);
+        const moved = before.map((flake, i) => [flake, after[i]]).filter(([[, y], [, next]]) => next < y);
+        let drop = 0;
+        let drift = 0;
+        moved.forEach(([[x, y, z], [nextX, nextY, nextZ]]) => {
+            drop += y - nextY;
+            drift += Math.hypot(nextX - x, nextZ - z);
+        });
+        return { drop: drop / moved.length, drift: drift / moved.length };
+    };
+    const calm = motion('calm');
+    const moderate = motion('moderate');
+    const blizzard = motion('blizzard');
+    assert.ok(calm.drop < moderate.drop && moderate.drop < blizzard.drop);
+    assert.ok(calm.drift < moderate.drift && moderate.drift < blizzard.drift);
+});
+
+test('settled flakes melt after about the melt time and fade out first', () => {
+    const melt = 3;
+    const lifetimes = [];
+    for (let seed = 0; seed < 12; seed++) {
+        // One flake that always sticks, starting just above the ground
+        const snow = weather({ count: 1, stick: 1, melt, top: 0, ground: -2, box: 50 }, seed);
+        let settledAt = null;
+        let lowestFade = 1;
+        run(snow, 10, (time) => {
+            if (snow.settled === 1) {
+                if (settledAt === null) settledAt = time;
+                lowestFade = Math.min(lowestFade, snow.fade[0]);
+            } else if (settledAt !== null && lifetimes.length === seed) {
+                lifetimes.push(time - settledAt);
+                assert.ok(lowestFade < 0.1, `fade ${lowestFade}`);
+                assert.equal(snow.positions[1], 0); // Back at the top
+            }
+        });
+    }
+    assert.equal(lifetimes.length, 12);
+    lifetimes.forEach((seconds) => assert.ok(seconds >= melt * 0.5 && seconds <= melt * 1.5 + 1 / 60, `${seconds}`));
+    assert.ok(Math.max(...lifetimes) - Math.min(...lifetimes) > 0.5); // Not all at once
+});
+
+test('setMelt changes how long flakes settling from now on last', () => {
+    const lasting = (melt) => {
+        const snow = weather({ stick: 1, top: 0, ground: -2, box: 50, melt: 1 });
+        snow.setMelt(melt);
+        let settled = 0;
+        run(snow, 4, () => { settled += snow.settled; });
+        return settled;
+    };
+    assert.ok(lasting(0.5) < lasting(20));
+});
+
+test('flakes that fall through or melt on contact are recycled at the top', () => {
+    const snow = weather({ ground: null, box: 100, top: 50 });
+    let lowest = Infinity;
+    run(snow, 20, () => {
+        flakes(snow).forEach(([, y]) => { lowest = Math.min(lowest, y); });
+    });
+    assert.ok(lowest >= 50 - 100 - 1); // At most one step below the volume before respawning
+    assert.equal(snow.active, 200);
+    assert.equal(snow.settled, 0);
+
+    // Nothing sticks: every landing flake starts over at the top
+    const slush = weather({ stick: 0, top: 0, ground: -2, box: 50 });
+    let maxSettled = 0;
+    let respawned = 0;
+    run(slush, 5, () => {
+        maxSettled = Math.max(maxSettled, slush.settled);
+        respawned += flakes(slush).filter(([, y]) => y === 0).length;
+    });
+    assert.equal(maxSettled, 0);
+    assert.ok(respawned > 200);
+});
+
+test('flakes blown out of the volume come back in on the other side', () => {
+    const snow = weather({ weather: 'blizzard', ground: null, box: 40, top: 20 });
+    run(snow, 10, () => {
+        flakes(snow).forEach(([x, , z]) => {
+            assert.ok(Math.abs(x) <= 20 && Math.abs(z) <= 20);
+        });
+    });
+});
+
+test('fewer flakes take their share of the piles with them', () => {
+    const snow = weather({ stick: 1, melt: 100, top: 0, ground: -2, box: 50 });
+    run(snow, 3);
+    assert.equal(snow.settled, 200);
+    snow.setDensity(0.25);
+    assert.equal(snow.active, 50);
+    assert.equal(snow.settled, 50);
+    snow.setDensity(1);
+    assert.equal(snow.settled, 50); // The new ones are falling
+});
+
+test('snow piles on the cone and falls off when it goes', () => {
+    const snow = weather({ stick: 1, melt: 100, top: 20, ground: null, box: 20 });
+    snow.setCone({ top: 15, bottom: -20, radius: 15 });
+    run(snow, 5);
+    const onCone = snow.settled;
+    assert.ok(onCone > 0);
+    snow.setCone(null);
+    assert.equal(snow.settled, 0);
+});
+
+test('gusts push the flakes, up to maxGust, and die down', () => {
+    // Mean sideways movement of the flakes over `seconds`, with or without a gust first
+    const push = (gust, wait, seconds) => {
+        const snow = weather({ weather: 'calm', ground: null, box: 1000, top: 500 });
+        if (gust) snow.gust(gust, 0, 0);
+        run(snow, wait);
+        const before = flakes(snow);
+        run(snow, seconds);
+        return flakes(snow).reduce((sum, [x], i) => sum + x - before[i][0], 0) / snow.active;
+    };
+    const still = push(0, 0, 0.5);
+    const capped = push(100, 0, 0.5) - still;
+    assert.ok(capped > 5);
+    assert.ok(capped < 1.2 * 30); // No more than maxGust per frame
+    assert.ok(Math.abs(push(1.2, 0, 0.5) - still - capped) < 1e-3); // 100 is no stronger than the cap
+    assert.ok(push(100, 10, 0.5) - push(0, 10, 0.5) < 0.05 * capped); // Gone after 10 s
+});
+
+test('a fast hand movement is a swipe, a slow one is not', () => {
+    const tracker = createSwipeTracker();
+    assert.equal(tracker.update(0.5, 0.5, 0), null);
+    let swipe = null;
+    for (let t = 16; t <= 160; t += 16) swipe = tracker.update(0.5 - t / 200, 0.5, t); // 5 widths per second to the left
+    assert.ok(swipe && swipe.x < -0.99 && swipe.strength > 0);
+
+    tracker.reset();
+    for (let t = 0; t <= 160; t += 16) swipe = tracker.update(0.5 + t / 2000, 0.5, t);
+    assert.equal(swipe, null);
+});
@@ -0,0 +1,101 @@
+// The WebM muxer, read back with a minimal EBML parser: node --test
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createWebmMuxer } from '../webm.js';
+
+const MASTER = new Set([0x1A45DFA3, 0x18538067, 0x1549A966, 0x1654AE6B, 0xAE, 0xE0, 0x1F43B675]);
+
+function readVint(bytes, offset, keepMarker) {
+    const first = bytes[offset];
+    let length = 1;
+    while (length <= 8 && !(first & (0x80 >> (length - 1)))) length++;
+    let value = keepMarker ? first : first & (0xFF >> length);
+    for (let i = 1; i < length; i++) value = value * 256 + bytes[offset + i];
+    return { value, length };
+}
+
+// { id, size, children | data } for every element in bytes[start, end)
+function parse(bytes, start = 0, end = bytes.length) {
+    const elements = [];
+    let offset = start;
+    while (offset < end) {
+        const id = readVint(bytes, offset, true);
+        const size = readVint(bytes, offset + id.length, false);
+        const dataStart = offset + id.length + size.length;
+        const dataEnd = dataStart + size.value;
+        assert.ok(dataEnd <= end, `element 0x${id.value.toString(16)} overruns its parent`);
+        elements.push(MASTER.has(id.value)
+            ? { id: id.value, children: parse(bytes, dataStart, dataEnd) }
+            : { id: id.value, data: bytes.subarray(dataStart, dataEnd) });
+        offset = dataEnd;
+    }
+    return elements;
+}
+
+const find = (elements, id) => elements.filter((e) => e.id === id);
+const uint = (data) => data.reduce((value, byte) => value * 256 + byte, 0);
+
+function mux(frameCount, keyEvery, fps = 30) {
+    const muxer = createWebmMuxer({ width: 64, height: 48, codec: 'vp9' });
+    for (let i = 0; i < frameCount; i++) {
+        muxer.addFrame(Uint8Array.of(i & 0xFF, 1, 2), (i * 1000) / fps, i % keyEvery === 0);
+    }
+    const chunks = muxer.finish((frameCount * 1000) / fps);
+    const bytes = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+    let offset = 0;
+    chunks.forEach((chunk) => {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return parse(bytes);
+}
+
+test('the file has an EBML header for webm and one segment', () => {
+    const [header, segment, ...rest] = mux(3, 30);
+    assert.equal(header.id, 0x1A45DFA3);
+    assert.equal(new TextDecoder().decode(find(header.children, 0x4282)[0].data), 'webm');
+    assert.equal(segment.id, 0x18538067);
+    assert.equal(rest.length, 0);
+});
+
+test('info and tracks describe the video', () => {
+    const segment = mux(3, 30)[1];
+    const info = find(segment.children, 0x1549A966)[0];
+    assert.equal(uint(find(info.children, 0x2AD7B1)[0].data), 1000000);
+    const duration = find(info.children, 0x4489)[0].data;
+    assert.equal(new DataView(duration.buffer, duration.byteOffset, 8).getFloat64(0), 100);
+
+    const track = find(find(segment.children, 0x1654AE6B)[0].children, 0xAE)[0];
+    assert.equal(new TextDecoder().decode(find(track.children, 0x86)[0].data), 'V_VP9');
+    const video = find(track.children, 0xE0)[0];
+    assert.equal(uint(find(video.children, 0xB0)[0].data), 64);
+    assert.equal(uint(find(video.children, 0xBA)[0].data), 48);
+});
+
+test('frames keep their own timestamps, with a cluster per key frame', () => {
+    const segment = mux(90, 30)[1]; // 3 s at 30 fps, a key frame every second
+    const clusters = find(segment.children, 0x1F43B675);
+    assert.deepEqual(clusters.map((c) => uint(find(c.children, 0xE7)[0].data)), [0, 1000, 2000]);
+
+    const times = [];
+    clusters.forEach((cluster) => {
+        const base = uint(find(cluster.children, 0xE7)[0].data);
+        find(cluster.children, 0xA3).forEach(({ data }, i) => {
+            assert.equal(data[0], 0x81); // Track 1
+            assert.equal(data[3] === 0x80, i === 0); // Only the first block is a key frame
+            times.push(base + ((data[1] << 8) | data[2]));
+        });
+    });
+    assert.deepEqual(times, Array.from({ length: 90 }, (_, i) => Math.round((i * 1000) / 30)));
+});
+
+test('long stretches without key frames still fit the 16-bit block offsets', () => {
+    const segment = mux(40 * 30, 100000)[1]; // 40 s, one key frame
+    const clusters = find(segment.children, 0x1F43B675);
+    assert.ok(clusters.length >= 2);
+    clusters.forEach((cluster) => {
+        find(cluster.children, 0xA3).forEach(({ data }) => {
+            assert.ok(((data[1] << 8) | data[2]) < 32768);
+        });
+    });
+});
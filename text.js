@@ -0,0 +1,72 @@
+import { layoutMask } from './geometry.js';
+
+// --- Text Formation ---
+// Rasterizes any string (multi-line, CJK, emoji) and spreads particles evenly
+// over the glyph area, scaled to fit a given box in world units.
+
+const RASTER_SIZE = 120; // Font size used for rasterizing (px), independent of world size
+const EMOJI_FONTS = '"Apple Color Emoji", "Segoe UI Emoji", "Noto Color Emoji", sans-serif';
+
+export const DEFAULT_TEXT_OPTIONS = {
+    font: 'Arial',      // CSS font family
+    weight: 'bold',     // CSS font weight
+    size: 24,           // Line height in world units (before fitting)
+    lineHeight: 1.2,    // Line spacing, relative to font size
+    maxWidth: 60,       // Fit box in world units
+    maxHeight: 40,
+    depth: 2            // Random depth spread in world units
+};
+
+// Draw the text onto a canvas and return an alpha mask (1 byte per pixel).
+// Alpha is used instead of brightness so colored glyphs (emoji) count too.
+function rasterizeText(text, options) {
+    const lines = String(text).split(/\r?\n/);
+    const font = `${options.weight} ${RASTER_SIZE}px ${options.font}, ${EMOJI_FONTS}`;
+    const lineStep = RASTER_SIZE * options.lineHeight;
+
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.font = font;
+
+    let textWidth = 0;
+    lines.forEach((line) => {
+        textWidth = Math.max(textWidth, ctx.measureText(line).width);
+    });
+
+    const padding = RASTER_SIZE * 0.5;
+    const width = Math.max(1, Math.ceil(textWidth + padding * 2));
+    const height = Math.max(1, Math.ceil(lineStep * lines.length + padding * 2));
+    canvas.width = width;
+    canvas.height = height;
+
+    // Resizing resets the context state
+    ctx.font = font;
+    ctx.fillStyle = '#ffffff';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    lines.forEach((line, i) => {
+        ctx.fillText(line, width / 2, padding + lineStep * (i + 0.5));
+    });
+
+    const data = ctx.getImageData(0, 0, width, height).data;
+    const mask = new Uint8Array(width * height);
+    for (let i = 0; i < mask.length; i++) {
+        mask[i] = data[i * 4 + 3] > 128 ? 1 : 0;
+    }
+    return { mask, width, height };
+}
+
+// --- Public API ---
+// Returns a Float32Array(count * 3) with particle positions forming the text,
+// centered on the origin and scaled to fit options.maxWidth x options.maxHeight.
+// `random` is the PRNG used for the depth jitter.
+export function getTextPositions(text, count, options, random) {
+    const opts = { ...DEFAULT_TEXT_OPTIONS, ...options };
+    const { mask, width, height } = rasterizeText(text, opts);
+    return layoutMask(mask, width, height, count, {
+        scale: opts.size / (RASTER_SIZE * opts.lineHeight),
+        maxWidth: opts.maxWidth,
+        maxHeight: opts.maxHeight,
+        depth: opts.depth
+    }, random);
+}
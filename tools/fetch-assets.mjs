@@ -0,0 +1,53 @@
+// Downloads everything the page would otherwise take from CDNs into vendor/, for
+// venues whose networks block them: three.js, the MediaPipe library and its
+// runtime, and the hand and face models. bootstrap.js and assets.js look there
+// first. Needs Node 18+ and tar (on Windows 10+ too).
+//
+//   node tools/fetch-assets.mjs
+//
+// Then serve the project folder (with vendor/) as usual.
+import { mkdir, readFile, rm, rename, writeFile } from 'node:fs/promises';
+import { execFileSync } from 'node:child_process';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { manifestSources } from '../assets.js';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const vendor = join(root, 'vendor');
+// Versions and sources, the same the page uses
+const manifest = JSON.parse(await readFile(join(root, 'assets.json'), 'utf8'));
+const sources = manifestSources(manifest);
+
+async function download(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+    const data = new Uint8Array(await response.arrayBuffer());
+    console.log(`${url}  ${(data.length / 1048576).toFixed(1)} MB`);
+    return data;
+}
+
+// Unpacks the given paths of an npm package into vendor/<target>
+async function fetchPackage(name, version, target, paths) {
+    const file = name.split('/').pop();
+    const tarball = join(vendor, `${file}-${version}.tgz`);
+    const unpacked = join(vendor, 'package');
+    await writeFile(tarball, await download(`https://registry.npmjs.org/${name}/-/${file}-${version}.tgz`));
+    await rm(join(vendor, target), { recursive: true, force: true });
+    await rm(unpacked, { recursive: true, force: true });
+    execFileSync('tar', ['-xzf', tarball, '-C', vendor, ...paths.map((path) => `package/${path}`)]);
+    await rename(unpacked, join(vendor, target));
+    await rm(tarball);
+}
+
+async function fetchModel(name) {
+    const [local, ...remote] = sources[name];
+    await mkdir(dirname(join(root, local)), { recursive: true });
+    await writeFile(join(root, local), await download(remote[remote.length - 1]));
+}
+
+await mkdir(vendor, { recursive: true });
+await fetchPackage('three', manifest.versions.three, 'three', ['build/three.module.js', 'examples/jsm']);
+await fetchPackage('@mediapipe/tasks-vision', manifest.versions.mediapipe, 'mediapipe', ['vision_bundle.mjs', 'wasm']);
+await fetchModel('handModel');
+await fetchModel('faceModel');
+console.log(`Done, everything is in ${vendor}`);
@@ -0,0 +1,30 @@
+// Replays a recorded hand session through the gesture recognizer without a
+// browser or camera, and prints every gesture change.
+//
+//   node tools/replay.mjs sessions/open-hand.json
+//
+// Record sessions in the browser with tree.startRecording() / tree.stopRecording().
+import { readFile } from 'node:fs/promises';
+import { createGestureRecognizer } from '../gestures.js';
+import { createPlaybackSource } from '../input.js';
+
+const file = process.argv[2];
+if (!file) {
+    console.error('Usage: node tools/replay.mjs <session.json>');
+    process.exit(1);
+}
+
+const recording = JSON.parse(await readFile(file, 'utf8'));
+const recognizer = createGestureRecognizer();
+const player = createPlaybackSource(recording, { stepped: true });
+
+let startTime = null;
+player.start((result, timestampMs) => {
+    if (startTime === null) startTime = timestampMs;
+    const recognition = recognizer.update(result, timestampMs);
+    if (recognition.changed) {
+        const t = ((timestampMs - startTime) / 1000).toFixed(2);
+        console.log(`${t}s  ${recognition.gesture}  (${Math.round(recognition.confidence * 100)}%)`);
+    }
+});
+while (player.step()) { /* run to the end */ }
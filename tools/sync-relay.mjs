@@ -0,0 +1,183 @@
+// WebSocket relay for multi-screen sync. Every message from one screen is passed
+// on to all other screens in the same room; the relay also answers clock
+// requests, so all screens share its clock. No dependencies beyond Node itself.
+//
+//   node tools/sync-relay.mjs [port]        (default 8787)
+//
+// Then open the leader with ?sync=leader&relay=ws://<host>:8787 and every
+// follower with ?sync=follower&relay=ws://<host>:8787 (add &room=<name> to
+// run several independent groups on one relay).
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+
+const port = parseInt(process.argv[2], 10) || 8787;
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xA };
+
+const rooms = new Map(); // Room name -> Set of clients
+
+// One unmasked frame (servers never mask)
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+// Parses as many complete frames as `buffer` holds. Returns { frames, rest }.
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+    while (buffer.length - offset >= 2) {
+        const fin = (buffer[offset] & 0x80) !== 0;
+        const opcode = buffer[offset] & 0x0F;
+        const masked = (buffer[offset + 1] & 0x80) !== 0;
+        let length = buffer[offset + 1] & 0x7F;
+        let cursor = offset + 2;
+        if (length === 126) {
+            if (buffer.length < cursor + 2) break;
+            length = buffer.readUInt16BE(cursor);
+            cursor += 2;
+        } else if (length === 127) {
+            if (buffer.length < cursor + 8) break;
+            length = Number(buffer.readBigUInt64BE(cursor));
+            cursor += 8;
+        }
+        if (length > MAX_MESSAGE_BYTES) throw new Error('Message too large');
+        const maskEnd = cursor + (masked ? 4 : 0);
+        if (buffer.length < maskEnd + length) break;
+
+        const payload = Buffer.from(buffer.subarray(maskEnd, maskEnd + length));
+        if (masked) {
+            for (let i = 0; i < payload.length; i++) payload[i] ^= buffer[cursor + (i % 4)];
+        }
+        frames.push({ fin, opcode, payload });
+        offset = maskEnd + length;
+    }
+    return { frames, rest: buffer.subarray(offset) };
+}
+
+function send(client, text) {
+    if (!client.socket.destroyed) client.socket.write(encodeFrame(OPCODES.text, Buffer.from(text)));
+}
+
+function handleMessage(client, text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch (error) {
+        return; // Not ours
+    }
+    if (typeof message !== 'object' || message === null) return;
+    if (message.type === 'time') {
+        send(client, JSON.stringify({ type: 'time', sentAt: message.sentAt, serverTime: Date.now() }));
+        return;
+    }
+    rooms.get(client.room).forEach((other) => {
+        if (other !== client) send(other, text);
+    });
+}
+
+function leave(client) {
+    const members = rooms.get(client.room);
+    if (!members || !members.delete(client)) return;
+    if (members.size === 0) rooms.delete(client.room);
+    console.log(`- ${client.address} left "${client.room}" (${members.size} left)`);
+}
+
+function accept(request, socket) {
+    const key = request.headers['sec-websocket-key'];
+    if (!key || request.headers.upgrade.toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    let room;
+    try {
+        room = decodeURIComponent(new URL(request.url, 'http://relay').pathname.slice(1)) || 'tree';
+    } catch (error) {
+        // Malformed room name (e.g. /%E0): refuse before switching protocols
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        socket.destroy();
+        return;
+    }
+    const acceptKey = createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${acceptKey}`,
+        '', ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+
+    const client = { socket, room, address: socket.remoteAddress };
+    if (!rooms.has(room)) rooms.set(room, new Set());
+    rooms.get(room).add(client);
+    console.log(`+ ${client.address} joined "${room}" (${rooms.get(room).size} connected)`);
+
+    let buffered = Buffer.alloc(0);
+    let fragments = [];
+    let fragmentBytes = 0;
+
+    socket.on('data', (chunk) => {
+        let decoded;
+        try {
+            decoded = decodeFrames(Buffer.concat([buffered, chunk]));
+        } catch (error) {
+            socket.destroy();
+            return;
+        }
+        buffered = decoded.rest;
+        decoded.frames.forEach(({ fin, opcode, payload }) => {
+            if (socket.writableEnded) return; // Closed by an earlier frame
+            if (opcode === OPCODES.ping) {
+                socket.write(encodeFrame(OPCODES.pong, payload));
+            } else if (opcode === OPCODES.close) {
+                socket.end(encodeFrame(OPCODES.close, payload.subarray(0, 2)));
+            } else if (opcode === OPCODES.text || opcode === OPCODES.continuation) {
+                // The limit holds for whole messages, not just single frames
+                fragmentBytes += payload.length;
+                if (fragmentBytes > MAX_MESSAGE_BYTES) {
+                    const status = Buffer.alloc(2);
+                    status.writeUInt16BE(1009); // Message too big
+                    socket.end(encodeFrame(OPCODES.close, status));
+                    fragments = [];
+                    fragmentBytes = 0;
+                    return;
+                }
+                fragments.push(payload);
+                if (fin) {
+                    handleMessage(client, Buffer.concat(fragments).toString('utf8'));
+                    fragments = [];
+                    fragmentBytes = 0;
+                }
+            }
+        });
+    });
+    socket.on('close', () => leave(client));
+    socket.on('error', () => leave(client));
+}
+
+const server = createServer((request, response) => {
+    response.writeHead(200, { 'Content-Type': 'text/plain' });
+    const counts = Array.from(rooms, ([name, members]) => `${name}: ${members.size}`);
+    response.end(`Christmas tree sync relay\n${counts.join('\n')}\n`);
+});
+server.on('upgrade', accept);
+server.listen(port, () => {
+    console.log(`Sync relay listening on ws://localhost:${port}`);
+});
@@ -0,0 +1,78 @@
+import * as THREE from 'three';
+
+// --- Star Topper ---
+// A glowing star sprite for the tip of the tree. It fades in while the tree is
+// shown and out for every other formation; the bloom pass does the rest.
+
+export const DEFAULT_TOPPER_OPTIONS = {
+    color: '#fff2a8',
+    size: 7,            // World units
+    fadeTime: 0.5       // Seconds to fade in or out
+};
+
+function createStarTexture() {
+    const canvas = document.createElement('canvas');
+    const size = 128;
+    canvas.width = size;
+    canvas.height = size;
+    const context = canvas.getContext('2d');
+    const center = size / 2;
+
+    // Soft halo
+    const halo = context.createRadialGradient(center, center, 0, center, center, center);
+    halo.addColorStop(0, 'rgba(255, 255, 255, 0.9)');
+    halo.addColorStop(0.25, 'rgba(255, 255, 255, 0.3)');
+    halo.addColorStop(1, 'rgba(255, 255, 255, 0)');
+    context.fillStyle = halo;
+    context.fillRect(0, 0, size, size);
+
+    // Five-pointed star
+    context.beginPath();
+    for (let i = 0; i < 10; i++) {
+        const radius = i % 2 === 0 ? center * 0.8 : center * 0.33;
+        const angle = (i / 10) * Math.PI * 2 - Math.PI / 2;
+        context.lineTo(center + Math.cos(angle) * radius, center + Math.sin(angle) * radius);
+    }
+    context.closePath();
+    context.fillStyle = '#ffffff';
+    context.fill();
+
+    return new THREE.CanvasTexture(canvas);
+}
+
+export function createStarTopper(options = {}) {
+    const opts = { ...DEFAULT_TOPPER_OPTIONS, ...options };
+    const material = new THREE.SpriteMaterial({
+        map: createStarTexture(),
+        color: new THREE.Color(opts.color),
+        transparent: true,
+        opacity: 0,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false
+    });
+    const sprite = new THREE.Sprite(material);
+    sprite.visible = false;
+
+    let time = 0;
+
+    // `shown`: fade in (true) or out. `motion` scales the pulsing and spinning (0 = still).
+    function update(delta, shown, motion = 1) {
+        time += delta;
+        const fade = delta / opts.fadeTime;
+        material.opacity = Math.min(1, Math.max(0, material.opacity + (shown ? fade : -fade)));
+        sprite.visible = material.opacity > 0;
+        sprite.scale.setScalar(opts.size * (1 + 0.08 * motion * Math.sin(time * 3)));
+        material.rotation = 0.15 * motion * Math.sin(time * 0.5);
+    }
+
+    function setColor(color) {
+        material.color.set(color);
+    }
+
+    function dispose() {
+        material.map.dispose();
+        material.dispose();
+    }
+
+    return { object: sprite, update, setColor, dispose };
+}
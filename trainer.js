@@ -0,0 +1,148 @@
+import { ACTION_TYPES } from './classifier.js';
+
+// --- Gesture Trainer Panel ---
+// Lists the custom gestures with their actions and records new samples. Like the
+// settings panel it only talks to handlers; recording itself happens in tree.js.
+//
+// handlers: { getModel(), getChoices(type) (values offered for 'formation' and
+//             'theme' actions), onRecord(name), onChange() (after any edit),
+//             onExport(), onImport(file) }
+
+function element(tag, attributes = {}, children = []) {
+    const node = document.createElement(tag);
+    Object.assign(node, attributes);
+    children.forEach((child) => node.append(child));
+    return node;
+}
+
+function button(label, onClick, attributes = {}) {
+    const node = element('button', { type: 'button', textContent: label, ...attributes });
+    node.addEventListener('click', onClick);
+    return node;
+}
+
+function select(options, value, onChange) {
+    const node = element('select', {}, options.map((option) => element('option', { value: option, textContent: option })));
+    node.value = value;
+    node.addEventListener('change', () => onChange(node.value));
+    return node;
+}
+
+export function createTrainerPanel(handlers) {
+    const panel = element('div', { className: 'tree-trainer', hidden: true });
+    const list = element('div', { className: 'trainer-list' });
+    const message = element('p', { className: 'settings-message' });
+
+    function edit(change) {
+        message.textContent = '';
+        try {
+            change(handlers.getModel());
+            handlers.onChange();
+        } catch (e) {
+            message.textContent = e.message;
+        }
+        refresh();
+    }
+
+    function record(name) {
+        message.textContent = '';
+        try {
+            handlers.onRecord(name);
+            return true;
+        } catch (e) {
+            message.textContent = e.message;
+            return false;
+        }
+    }
+
+    // The value part of an action depends on its type
+    function valueControl(name, action) {
+        const setValue = (value) => edit((model) => model.setAction(name, { type: action.type, value }));
+        if (action.type === 'text') {
+            const input = element('input', { type: 'text', value: action.value, placeholder: 'Text' });
+            input.addEventListener('change', () => setValue(input.value));
+            return input;
+        }
+        if (action.type === 'snapshot') return element('span');
+        const choices = handlers.getChoices(action.type);
+        return select(choices, choices.includes(action.value) ? action.value : choices[0], setValue);
+    }
+
+    function renderGesture({ name, action, samples }) {
+        const type = select(ACTION_TYPES, action.type, (value) => edit((model) => {
+            const choices = value === 'formation' || value === 'theme' ? handlers.getChoices(value) : [''];
+            model.setAction(name, { type: value, value: choices[0] });
+        }));
+        return element('div', { className: 'trainer-gesture' }, [
+            element('strong', { textContent: name }),
+            element('span', { textContent: `${samples} samples` }),
+            type,
+            valueControl(name, action),
+            button('Record more', () => record(name)),
+            button('×', () => edit((model) => model.remove(name)), { title: 'Delete' })
+        ]);
+    }
+
+    const nameInput = element('input', { type: 'text', placeholder: 'New gesture name', maxLength: 30 });
+    const replaceInput = element('input', { type: 'checkbox' });
+    replaceInput.addEventListener('change', () => edit((model) => { model.replaceBuiltIn = replaceInput.checked; }));
+
+    const fileInput = element('input', { type: 'file', accept: '.json,application/json', hidden: true });
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+        message.textContent = '';
+        Promise.resolve(handlers.onImport(file))
+            .then(refresh)
+            .catch((e) => { message.textContent = e.message; });
+    });
+
+    panel.append(
+        element('h2', { textContent: 'Gestures' }),
+        element('p', {
+            className: 'trainer-hint',
+            textContent: 'Name a gesture, press Record and hold it in front of the camera. Record it a few times from different angles.'
+        }),
+        element('div', { className: 'settings-row' }, [
+            nameInput,
+            button('Record', () => {
+                if (record(nameInput.value)) nameInput.value = '';
+            })
+        ]),
+        list,
+        element('label', { className: 'settings-row' }, [replaceInput, element('span', { textContent: 'Only my gestures' })]),
+        element('div', { className: 'settings-actions' }, [
+            button('Export', () => handlers.onExport()),
+            button('Import', () => fileInput.click()),
+            button('Clear', () => edit((model) => model.clear())),
+            fileInput
+        ]),
+        message
+    );
+
+    function refresh() {
+        const model = handlers.getModel();
+        const gestures = model.list();
+        list.replaceChildren(...(gestures.length > 0
+            ? gestures.map(renderGesture)
+            : [element('p', { className: 'trainer-hint', textContent: 'No gestures trained yet.' })]));
+        replaceInput.checked = model.replaceBuiltIn;
+    }
+
+    return {
+        element: panel,
+        refresh,
+        // Progress and results of a recording
+        setMessage(text) {
+            message.textContent = text;
+        },
+        get open() {
+            return !panel.hidden;
+        },
+        toggle(open = panel.hidden) {
+            panel.hidden = !open;
+            if (open) refresh();
+        }
+    };
+}
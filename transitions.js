@@ -0,0 +1,126 @@
+// --- Transitions ---
+// How particle targets travel between formations: an easing curve, a per-particle
+// delay (stagger) and an optional swirl around the vertical axis. The same math
+// exists twice, as GLSL for the simulation and as JS for CPU snapshots, so an
+// interrupted transition continues from exactly where the targets were.
+
+export const EASINGS = ['linear', 'smooth', 'easeIn', 'easeOut', 'easeInOut', 'backOut', 'elastic'];
+export const STAGGERS = ['none', 'rise', 'fall', 'ripple', 'random'];
+
+export const DEFAULT_TRANSITION = {
+    duration: 0.6,      // Seconds until the last particle arrives
+    easing: 'smooth',
+    stagger: 'none',    // rise: from the base up, fall: from the top down, ripple: from the center out
+    spread: 0.6,        // Share of the duration used for staggering (0 = all at once)
+    swirl: 0            // Half turns around the vertical axis on the way
+};
+
+const BACK = 1.70158; // Overshoot of backOut (about 10%)
+
+const easingFunctions = {
+    linear: (t) => t,
+    smooth: (t) => t * t * (3 - 2 * t),
+    easeIn: (t) => t * t * t,
+    easeOut: (t) => 1 - Math.pow(1 - t, 3),
+    easeInOut: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+    backOut: (t) => 1 + (BACK + 1) * Math.pow(t - 1, 3) + BACK * Math.pow(t - 1, 2),
+    elastic: (t) => (t <= 0 || t >= 1 ? t :
+        Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * (2 * Math.PI / 3)) + 1)
+};
+
+// Fill in defaults and check names. Returns a new object.
+export function resolveTransition(transition = {}) {
+    const resolved = { ...DEFAULT_TRANSITION, ...transition };
+    if (!EASINGS.includes(resolved.easing)) throw new Error(`Unknown easing: ${resolved.easing}`);
+    if (!STAGGERS.includes(resolved.stagger)) throw new Error(`Unknown stagger: ${resolved.stagger}`);
+    const duration = Number(resolved.duration);
+    resolved.duration = Number.isFinite(duration) ? Math.max(0.001, duration) : DEFAULT_TRANSITION.duration;
+    resolved.spread = resolved.stagger === 'none' ? 0 : Math.min(Math.max(Number(resolved.spread), 0), 0.95);
+    resolved.swirl = Number(resolved.swirl) || 0;
+    return resolved;
+}
+
+export function easingIndex(name) {
+    return EASINGS.indexOf(name);
+}
+
+// Start delay (0..1) of every particle for a stagger pattern, based on where it ends up
+export function staggerDelays(stagger, positions, count, random = Math.random, out = new Float32Array(count)) {
+    if (stagger === 'none') return out.fill(0);
+    if (stagger === 'random') {
+        for (let i = 0; i < count; i++) out[i] = random();
+        return out;
+    }
+
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < count; i++) {
+        const value = stagger === 'ripple'
+            ? Math.hypot(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2])
+            : positions[i * 3 + 1];
+        out[i] = value;
+        min = Math.min(min, value);
+        max = Math.max(max, value);
+    }
+    const range = max - min || 1;
+    for (let i = 0; i < count; i++) {
+        const delay = (out[i] - min) / range;
+        out[i] = stagger === 'fall' ? 1 - delay : delay;
+    }
+    return out;
+}
+
+// Eased progress of one particle at overall progress `progress` (0..1)
+export function particleProgress(progress, delay, transition) {
+    const { spread } = transition;
+    const local = Math.min(Math.max((progress - delay * spread) / (1 - spread), 0), 1);
+    return easingFunctions[transition.easing](local);
+}
+
+// Point between source and target (flat xyz arrays) at eased progress `t`,
+// for the vector starting at `offset`. Written to `out` at the same offset.
+export function transitionPoint(source, target, offset, t, swirl, out) {
+    const x = source[offset] + (target[offset] - source[offset]) * t;
+    const y = source[offset + 1] + (target[offset + 1] - source[offset + 1]) * t;
+    const z = source[offset + 2] + (target[offset + 2] - source[offset + 2]) * t;
+    // Swirl grows and shrinks again, so both ends stay in place
+    const angle = swirl * Math.PI * Math.sin(Math.PI * Math.min(Math.max(t, 0), 1));
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    out[offset] = x * cos + z * sin;
+    out[offset + 1] = y;
+    out[offset + 2] = -x * sin + z * cos;
+}
+
+// GLSL version of particleProgress() and transitionPoint(). Expects the uniforms
+// uEasing (index into EASINGS), uSpread and uSwirl.
+export const transitionShaderChunk = /* glsl */`
+    uniform int uEasing;
+    uniform float uSpread;
+    uniform float uSwirl;
+
+    float easeTransition(float t) {
+        const float PI = 3.141592653589793;
+        const float BACK = ${BACK};
+        if (uEasing == 0) return t;
+        if (uEasing == 1) return t * t * (3.0 - 2.0 * t);
+        if (uEasing == 2) return t * t * t;
+        if (uEasing == 3) return 1.0 - pow(1.0 - t, 3.0);
+        if (uEasing == 4) return t < 0.5 ? 4.0 * t * t * t : 1.0 - pow(2.0 - 2.0 * t, 3.0) / 2.0;
+        float u = t - 1.0; // pow() is undefined for negative bases
+        if (uEasing == 5) return 1.0 + (BACK + 1.0) * u * u * u + BACK * u * u;
+        if (t <= 0.0 || t >= 1.0) return t;
+        return pow(2.0, -10.0 * t) * sin((t * 10.0 - 0.75) * (2.0 * PI / 3.0)) + 1.0;
+    }
+
+    vec3 transitionPoint(vec3 source, vec3 target, float progress, float delay) {
+        const float PI = 3.141592653589793;
+        float local = clamp((progress - delay * uSpread) / (1.0 - uSpread), 0.0, 1.0);
+        float t = easeTransition(local);
+        vec3 point = mix(source, target, t);
+        float angle = uSwirl * PI * sin(PI * clamp(t, 0.0, 1.0));
+        float c = cos(angle);
+        float s = sin(angle);
+        return vec3(point.x * c + point.z * s, point.y, -point.x * s + point.z * c);
+    }
+`;
@@ -0,0 +1,1775 @@
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { createGestureRecognizer } from './gestures.js';
+import { createMorphParticles } from './morph.js';
+import { createBackground } from './background.js';
+import { createSnow } from './snow.js';
+import { WEATHER_NAMES, createSwipeTracker } from './weather.js';
+import { createFormationRegistry } from './formations.js';
+import { isMeshFile, loadMeshFile, createMeshFormation } from './mesh.js';
+import { isImageFile, loadImage, createImageFormation } from './image.js';
+import { createRandom, createSeed } from './random.js';
+import { createAudioInput } from './audio.js';
+import { createVideoRecorder, renderStill, downloadBlob } from './capture.js';
+import { createWebcamSource, createRecorder, createPlaybackSource, loadRecording } from './input.js';
+import { resolveTransition, EASINGS, STAGGERS } from './transitions.js';
+import { createShowPlayer, loadShow } from './show.js';
+import {
+    CONFIG_SCHEMA, CONFIG_VERSION, resolveConfig, normalizeConfig, configFromParams, configDiff,
+    writeConfigParams, sameValue
+} from './config.js';
+import { createSettingsPanel } from './settings.js';
+import { createSync, SYNC_DELAY_MS } from './sync.js';
+import { MODE_KEYS, createModeBar, attachTouchGestures } from './manual.js';
+import { QUALITY_LEVELS, createGovernor } from './performance.js';
+import { THEMES, THEME_NAMES, resolveTheme, createLightLayout, lightColor } from './lights.js';
+import { createStarTopper } from './topper.js';
+import { createGestureModel, checkGestureName } from './classifier.js';
+import { createTrainerPanel } from './trainer.js';
+import { createHeadTracker } from './head.js';
+import { createAssetLoader, loadVisionFileset, createWithFallback } from './assets.js';
+
+// --- Christmas Tree ---
+// The whole scene as a component: createChristmasTree(container, options) mounts
+// it into an element and returns a controller. Every instance has its own renderer,
+// hand tracking, settings and listeners, so several can share a page, and
+// dispose() takes one down again. script.js mounts one that fills the page.
+
+export const DEFAULT_TREE_OPTIONS = {
+    params: '',             // Settings and options like the page's URL parameters (string, object or URLSearchParams)
+    storage: null,          // localStorage key prefix for settings and gestures, null = don't save them
+    updateURL: false,       // Keep the page URL in step with the scene
+    keyboard: 'container',  // Where shortcut keys are heard: 'container' (once focused), 'window' or null
+    camera: true,           // false = no hand tracking, manual controls only
+    assets: {}              // Other places for the MediaPipe runtime and models, e.g. { handModel: ['/models/hand.task'] }, see assets.json
+};
+
+export function createChristmasTree(container, options = {}) {
+    if (!container) throw new Error('createChristmasTree needs a container element');
+    const opts = { ...DEFAULT_TREE_OPTIONS, ...options };
+
+    // --- Container ---
+    // Everything the scene puts on the page goes into the container, and every
+    // listener on shared targets (window, document) is registered through listen(),
+    // so dispose() can take it all away again.
+    container.classList.add('christmas-tree');
+    const cleanups = []; // Run by dispose()
+    let disposed = false;
+
+    function element(tag, attributes = {}) {
+        return Object.assign(document.createElement(tag), attributes);
+    }
+
+    function mount(node) {
+        container.appendChild(node);
+        cleanups.push(() => node.remove());
+        return node;
+    }
+
+    function listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        cleanups.push(() => target.removeEventListener(type, handler));
+    }
+
+    // Output size in CSS pixels (1 until the container is laid out)
+    function viewWidth() {
+        return container.clientWidth || 1;
+    }
+
+    function viewHeight() {
+        return container.clientHeight || 1;
+    }
+
+    // --- Events ---
+    // 'ready' ({ input: 'camera', 'manual', 'replay' or 'follower' }) once the scene has
+    // its input, 'modechange' ({ mode, previous }) when a new formation starts, and
+    // 'handdetected' / 'handlost' ({ gesture }) when a hand shows up or leaves.
+    const eventHandlers = new Map(); // type -> Set of handlers
+    let readyInput = null;
+
+    function on(type, handler) {
+        if (!eventHandlers.has(type)) eventHandlers.set(type, new Set());
+        eventHandlers.get(type).add(handler);
+        return () => off(type, handler);
+    }
+
+    function off(type, handler) {
+        if (eventHandlers.has(type)) eventHandlers.get(type).delete(handler);
+    }
+
+    function emit(type, detail) {
+        if (!eventHandlers.has(type)) return;
+        eventHandlers.get(type).forEach((handler) => {
+            try {
+                handler(detail);
+            } catch (error) {
+                console.error(error); // A broken listener shouldn't stop the scene
+            }
+        });
+    }
+
+    // Deferred, so listeners added right after createChristmasTree() hear it even
+    // when the input was ready at once (followers, no camera)
+    function markReady(input) {
+        if (readyInput !== null) return;
+        readyInput = input;
+        queueMicrotask(() => emit('ready', { input }));
+    }
+
+    // Configuration
+    // Typed settings (see config.js): defaults < saved settings < params, e.g.
+    // ?particles=100000&letters=XMAS&palette=ff0000,ffffff. The settings panel ('s') edits them live.
+    const urlParams = new URLSearchParams(opts.params);
+    const CONFIG_STORAGE_KEY = opts.storage && `${opts.storage}-settings`;
+
+    function readStoredConfig() {
+        if (!CONFIG_STORAGE_KEY) return {};
+        try {
+            return JSON.parse(localStorage.getItem(CONFIG_STORAGE_KEY)) || {};
+        } catch (error) {
+            return {}; // Storage disabled or corrupt
+        }
+    }
+
+    function saveConfig() {
+        if (!CONFIG_STORAGE_KEY) return;
+        try {
+            localStorage.setItem(CONFIG_STORAGE_KEY, JSON.stringify(configDiff(config)));
+        } catch (error) {
+            console.warn('Settings could not be saved', error);
+        }
+    }
+
+    let config = resolveConfig(readStoredConfig(), configFromParams(urlParams));
+
+    // Text shown in TEXT mode, e.g. ?text=Merry%0AChristmas&font=Georgia
+    let textMessage = urlParams.get('text') || 'FUYO';
+    const textOptions = {};
+    if (urlParams.has('font')) textOptions.font = urlParams.get('font');
+    if (urlParams.has('textSize')) textOptions.size = parseFloat(urlParams.get('textSize'));
+
+    // How particles travel between formations, e.g. ?easing=backOut&stagger=rise&swirl=1&transition=1.5
+    // (see transitions.js for all easings and stagger patterns). Bad values keep the defaults.
+    const transitionParams = {};
+    function transitionParam(param, key, parse) {
+        if (!urlParams.has(param)) return;
+        const value = parse(urlParams.get(param));
+        if (value !== undefined) transitionParams[key] = value;
+    }
+    const finite = (text) => (Number.isFinite(parseFloat(text)) ? parseFloat(text) : undefined);
+    transitionParam('easing', 'easing', (text) => (EASINGS.includes(text) ? text : undefined));
+    transitionParam('stagger', 'stagger', (text) => (STAGGERS.includes(text) ? text : undefined));
+    transitionParam('swirl', 'swirl', finite);
+    transitionParam('transition', 'duration', (text) => (finite(text) >= 0 ? finite(text) : undefined));
+
+    // Seed for every random layout (tree jitter, snow, colors, ...). The same seed
+    // reproduces the exact same scene, so the current one is always in the params
+    // (and with updateURL in the page URL), together with all non-default settings.
+    let seed = urlParams.get('seed') || createSeed();
+    urlParams.set('seed', seed);
+
+    function updateURL() {
+        writeConfigParams(config, urlParams);
+        if (opts.updateURL) window.history.replaceState(null, '', `${window.location.pathname}?${urlParams}`);
+    }
+    updateURL();
+
+    // --- Reduced Motion ---
+    // Follows the system setting unless ?reducedMotion=1 / 0 says otherwise ('r' toggles it).
+    // Tones down the explosion, spinning, glow, twinkling and music pulsing, and drops swirl paths.
+    const REDUCED_MOTION = { explosion: 0.4, spin: 0.25, glow: 0.5, twinkle: 0.3, pulse: 0 };
+    const motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+    let reducedMotion = urlParams.has('reducedMotion') ? urlParams.get('reducedMotion') !== '0' : motionQuery.matches;
+
+    function motionScale(effect) {
+        return reducedMotion ? REDUCED_MOTION[effect] : 1;
+    }
+
+    // --- Performance ---
+    // The governor (performance.js) trades resolution, bloom and particle density for
+    // frame rate, e.g. ?fps=30 for a lower target. ?quality=low (or 0-4) pins a level
+    // instead, and ?stats (or 'f') shows the frame rate.
+    function qualityLevel(value) {
+        const byName = QUALITY_LEVELS.findIndex((level) => level.name === value);
+        const level = byName !== -1 ? byName : parseInt(value, 10);
+        return Number.isNaN(level) ? QUALITY_LEVELS.length - 1 : level;
+    }
+
+    const governor = createGovernor({ targetFps: parseFloat(urlParams.get('fps')) || 60 });
+    let adaptiveQuality = !urlParams.has('quality');
+    if (!adaptiveQuality) governor.setLevel(qualityLevel(urlParams.get('quality')));
+
+    function currentPixelRatio() {
+        return Math.max(0.5, window.devicePixelRatio * governor.quality.pixelRatio);
+    }
+
+    // State
+    let mode = 'TREE'; // Name of a registered formation ('TREE', 'EXPLODE', 'SPHERE', 'TEXT', ...)
+    let handPresent = false;
+    let handRotateSpeed = null; // Set while a hand steers the rotation
+    let audioRotateSpeed = 1.0;
+
+    // --- Three.js Setup ---
+    const scene = new THREE.Scene();
+    scene.fog = new THREE.FogExp2(0x000000, 0.005); // Reduced fog density so background is visible
+
+    const camera = new THREE.PerspectiveCamera(60, viewWidth() / viewHeight(), 0.1, 1000);
+    camera.position.set(0, 20, 50);
+
+    const renderer = new THREE.WebGLRenderer({ antialias: false, alpha: true }); // Antialias off for postprocessing usually
+    renderer.setSize(viewWidth(), viewHeight());
+    renderer.setPixelRatio(currentPixelRatio());
+    renderer.toneMapping = THREE.ReinhardToneMapping;
+    mount(renderer.domElement);
+
+    const controls = new OrbitControls(camera, renderer.domElement);
+    controls.enableDamping = true;
+    controls.autoRotate = true;
+    controls.autoRotateSpeed = 1.0;
+
+    // --- Post Processing (Bloom) ---
+    const renderScene = new RenderPass(scene, camera);
+
+    // Strength is the base glow; audio pushes it up from there
+    const bloomPass = new UnrealBloomPass(new THREE.Vector2(viewWidth(), viewHeight()),
+        config.bloomStrength * motionScale('glow'), config.bloomRadius, config.bloomThreshold);
+
+    function applyBloom() {
+        bloomPass.strength = config.bloomStrength * motionScale('glow');
+        bloomPass.radius = config.bloomRadius;
+        bloomPass.threshold = config.bloomThreshold;
+    }
+
+    const composer = new EffectComposer(renderer);
+    composer.addPass(renderScene);
+    composer.addPass(bloomPass);
+
+    // --- Background (Knowledge Graph) ---
+    // Thousands of nodes are fine: neighbors come from a spatial grid, e.g. ?bgNodes=5000
+    function createSceneBackground() {
+        return createBackground({
+            nodeCount: config.bgNodes,
+            random: createRandom(seed, 'background')
+        });
+    }
+
+    let background = createSceneBackground();
+    scene.add(background.group);
+
+    function rebuildBackground() {
+        scene.remove(background.group);
+        background.dispose();
+        background = createSceneBackground();
+        scene.add(background.group);
+    }
+
+    // --- Snowfall System ---
+    // Weather from calm to blizzard (see weather.js), e.g. ?weather=blizzard&snowMelt=30
+    // ('w' cycles it). Snow settles on the tree while it is shown and on the ground at
+    // its foot, and a fast swipe of the hand blows a gust in the swipe's direction.
+    function createSceneSnow() {
+        return createSnow({
+            count: config.snowCount,
+            weather: config.weather,
+            melt: config.snowMelt,
+            random: createRandom(seed, 'snow')
+        });
+    }
+
+    let snow = createSceneSnow();
+    scene.add(snow.group);
+    let snowCone = null; // The tree's outline, for settling snow
+
+    function fitSnow() {
+        const top = config.treeHeight / 2;
+        snowCone = { top: top, bottom: -top, radius: config.treeRadius + 1 }; // Particles jitter by up to 1
+        snow.setGround(-top);
+    }
+    fitSnow();
+
+    function rebuildSnow() {
+        scene.remove(snow.group);
+        snow.dispose();
+        snow = createSceneSnow();
+        scene.add(snow.group);
+        fitSnow();
+    }
+
+    function applyWeather() {
+        snow.setWeather(config.weather);
+        snow.setMelt(config.snowMelt);
+    }
+
+    function cycleWeather() {
+        const next = WEATHER_NAMES[(WEATHER_NAMES.indexOf(config.weather) + 1) % WEATHER_NAMES.length];
+        updateConfig({ weather: next });
+        announce(`Weather: ${next}`);
+    }
+
+    const swipes = createSwipeTracker();
+    const gustDirection = new THREE.Vector3();
+
+    function updateGust(hand, timestampMs) {
+        if (!hand) {
+            swipes.reset();
+            return;
+        }
+        const palm = hand.landmarks[9];
+        const swipe = swipes.update(1 - palm.x, palm.y, timestampMs); // Mirrored like the preview
+        if (!swipe) return;
+        // From the screen into the scene: right and up as the camera sees them
+        gustDirection.set(swipe.x, -swipe.y, 0).transformDirection(camera.matrixWorld);
+        snow.gust(gustDirection.multiplyScalar(swipe.strength));
+    }
+
+    // --- Lights ---
+    // Twinkling, chasing strands, ornament clusters and the star (see lights.js).
+    // Bulbs, ornaments and the star wear the theme colors, all other particles the palette.
+    let lightLayout = null; // Lighting role of every particle, made with the particles
+
+    function createSceneLights() {
+        return createLightLayout(config.particles, {
+            strands: config.strands,
+            ornaments: config.ornaments,
+            random: createRandom(seed, 'lights')
+        });
+    }
+
+    function lighting() {
+        return {
+            twinkle: config.twinkle * motionScale('twinkle'),
+            chase: config.chase * motionScale('twinkle')
+        };
+    }
+
+    // New strand or ornament counts: hand out the roles again and recolor
+    function rebuildLights() {
+        lightLayout = createSceneLights();
+        particles.setLights(lightLayout);
+        setPalette(config.palette);
+    }
+
+    // --- Particle System ---
+    // One point cloud for all letters (config.letters interleaved), morphed on the GPU
+
+    // Colors are picked at random per particle, regardless of letter.
+    // Entries are colors or { color, weight } (see the palette in config.js).
+    function createPaletteColors(palette) {
+        const entries = palette.map((entry) => (entry !== null && typeof entry === 'object'
+            ? { color: new THREE.Color(entry.color), weight: entry.weight === undefined ? 1 : entry.weight }
+            : { color: new THREE.Color(entry), weight: 1 }));
+        const total = entries.reduce((sum, entry) => sum + entry.weight, 0);
+
+        // Same stream for every palette, so each particle keeps its slot when colors change
+        const colorRandom = createRandom(seed, 'colors');
+        const colors = new Float32Array(config.particles * 3);
+        for (let i = 0; i < config.particles; i++) {
+            let pick = colorRandom() * total;
+            const entry = entries.find((e) => (pick -= e.weight) < 0) || entries[entries.length - 1];
+            entry.color.toArray(colors, i * 3);
+        }
+
+        const theme = resolveTheme(config.theme, palette);
+        const color = new THREE.Color();
+        for (let i = 0; i < config.particles; i++) {
+            const hex = lightColor(lightLayout, i, theme);
+            if (hex) color.set(hex).toArray(colors, i * 3);
+        }
+        return colors;
+    }
+
+    function createParticles() {
+        lightLayout = createSceneLights();
+        const created = createMorphParticles({
+            renderer: renderer,
+            count: config.particles,
+            letters: config.letters,
+            colors: createPaletteColors(config.palette),
+            lights: lightLayout,
+            size: 2.0, // Bigger size for letters
+            random: createRandom(seed, 'stagger')
+        });
+        created.setViewport(viewHeight(), renderer.getPixelRatio());
+        created.setLighting(lighting());
+        return created;
+    }
+
+    let particles = createParticles();
+    scene.add(particles.points);
+
+    // Glowing star on the tip of the tree, only while the tree is shown
+    const topper = createStarTopper({ color: resolveTheme(config.theme, config.palette).star });
+    scene.add(topper.object);
+
+    function placeTopper() {
+        topper.object.position.set(0, config.treeHeight / 2 + 1, 0);
+    }
+    placeTopper();
+
+    // --- Formations ---
+    // Every mode is a named generator in the registry (TREE, SPHERE, TEXT, STAR, ...).
+    // Positions are generated the first time a formation is shown.
+    const formations = createFormationRegistry();
+
+    // World-space size of the visible area around the orbit target, so text can be fit into view
+    function getViewSize() {
+        const distance = camera.position.distanceTo(controls.target);
+        const height = 2 * distance * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2);
+        return { width: height * camera.aspect, height: height };
+    }
+
+    // Each formation gets its own random stream, so it comes out the same whenever it is built
+    function getFormationContext(name) {
+        return {
+            random: createRandom(seed, 'formation', name),
+            treeHeight: config.treeHeight,
+            treeRadius: config.treeRadius,
+            explosionRadius: config.explosionRadius * motionScale('explosion'),
+            view: getViewSize(),
+            text: textMessage,
+            textOptions: textOptions,
+            imageOptions: { weighting: config.imageWeighting, relief: config.imageRelief }
+        };
+    }
+
+    // Colors of the formations that bring their own (see formations.js)
+    const formationColors = new Map();
+    let coloredBy = null; // The formation whose colors are on the particles, null for the palette
+
+    // (Re)generate a formation's positions (and colors) from its generator
+    function buildFormation(name) {
+        const generated = formations.generate(name, config.particles, getFormationContext(name));
+        if (generated instanceof Float32Array) {
+            formationColors.delete(name);
+            particles.setFormation(name, generated);
+            return;
+        }
+        formationColors.set(name, generated.colors);
+        particles.setFormation(name, generated.positions);
+        if (coloredBy === name) particles.setColors(generated.colors);
+    }
+
+    // Formations with their own colors wear them while shown, all others the palette
+    function applyFormationColors(name, fadeTime) {
+        const colors = formationColors.get(name);
+        if (colors) {
+            particles.setColors(colors, fadeTime);
+            coloredBy = name;
+        } else if (coloredBy) {
+            coloredBy = null;
+            particles.setColors(createPaletteColors(config.palette), fadeTime);
+        }
+    }
+
+    // Transition for formation changes; a show step can override it until the hand takes over
+    let transition = resolveTransition(transitionParams);
+    let activeTransition = transition;
+
+    function setTransition(options) {
+        transition = resolveTransition({ ...transition, ...options });
+        activeTransition = transition;
+    }
+
+    function showFormation(name, transitionOptions = activeTransition, elapsed = 0) {
+        if (!formations.has(name)) return;
+        if (!particles.has(name)) buildFormation(name);
+        if (reducedMotion) transitionOptions = { ...transitionOptions, swirl: 0 };
+        particles.morphTo(name, transitionOptions, elapsed);
+        applyFormationColors(name, transitionOptions.duration);
+    }
+
+    // Add a custom shape at runtime: generator(count, context) => Float32Array(count * 3)
+    function registerFormation(name, generator) {
+        formations.register(name, generator);
+        if (particles.has(name)) buildFormation(name);
+        modeBar.setModes(formations.names());
+    }
+
+    function setMode(name) {
+        if (formations.has(name)) mode = name;
+    }
+
+    // Lay out a new message. Can be called at any time, also while it is shown.
+    function setText(text, options = {}) {
+        textMessage = String(text);
+        Object.assign(textOptions, options);
+        if (particles.has('TEXT')) buildFormation('TEXT');
+        broadcast({ type: 'text', text: textMessage, options: textOptions });
+    }
+
+    // Fade all particles to a new palette (same format as the palette setting)
+    function setPalette(palette, fadeTime = 1) {
+        if (!coloredBy) particles.setColors(createPaletteColors(palette), fadeTime);
+        topper.setColor(resolveTheme(config.theme, palette).star);
+        broadcast({ type: 'palette', palette, fadeTime });
+    }
+
+    showFormation('TREE');
+    particles.jumpTo('TREE');
+
+    // New particle count or letters: start over with a fresh point cloud in the current formation
+    function rebuildParticles() {
+        scene.remove(particles.points);
+        particles.dispose();
+        particles = createParticles();
+        coloredBy = null; // The new cloud starts out in the palette
+        scene.add(particles.points);
+        showFormation(mode);
+        particles.jumpTo(mode);
+    }
+
+    // Regenerate every formation built so far (their parameters changed)
+    function rebuildFormations() {
+        formations.names().filter((name) => particles.has(name)).forEach(buildFormation);
+        placeTopper();
+        fitSnow();
+    }
+
+    // --- Settings ---
+    // Every change is checked against the schema, applied to the parts of the scene
+    // it affects, saved (see the storage option) and written into the params.
+    const REBUILDS = {
+        particles: rebuildParticles,
+        palette: () => setPalette(config.palette),
+        lights: rebuildLights,
+        lighting: () => particles.setLighting(lighting()),
+        formations: rebuildFormations,
+        bloom: applyBloom,
+        snow: rebuildSnow,
+        weather: applyWeather,
+        background: rebuildBackground
+    };
+
+    function updateConfig(changes) {
+        const next = { ...config, ...normalizeConfig(changes) };
+        // A new theme brings its palette along, unless a palette was given too
+        if (next.theme !== config.theme && changes.palette === undefined && THEMES[next.theme]) {
+            next.palette = structuredClone(THEMES[next.theme].palette);
+        }
+        const rebuilds = new Set();
+        Object.keys(next).forEach((key) => {
+            if (!sameValue(next[key], config[key])) rebuilds.add(CONFIG_SCHEMA[key].rebuild);
+        });
+        config = next;
+        // A new point cloud already has the new palette and lights
+        if (rebuilds.has('particles')) ['palette', 'lights', 'lighting'].forEach((name) => rebuilds.delete(name));
+        if (rebuilds.has('lights')) rebuilds.delete('palette'); // Recolors anyway
+        if (rebuilds.has('snow')) rebuilds.delete('weather'); // New snow starts with the new weather
+        rebuilds.forEach((name) => REBUILDS[name]());
+        applyDensity(); // Rebuilt parts start out complete
+
+        saveConfig();
+        updateURL();
+        broadcast({ type: 'settings', settings: configDiff(config) });
+    }
+
+    function exportSettings() {
+        downloadJSON({ version: CONFIG_VERSION, settings: config }, 'tree-settings.json');
+    }
+
+    // Replace all settings with an exported file (or its parsed content)
+    async function importSettings(source) {
+        const data = source instanceof Blob ? JSON.parse(await source.text()) : source;
+        if (!data || !data.settings) throw new Error('Not a settings file');
+        updateConfig(resolveConfig(normalizeConfig(data.settings)));
+    }
+
+    // This page with the current scene in its query
+    function shareURL() {
+        return `${window.location.origin}${window.location.pathname}?${urlParams}`;
+    }
+
+    function copyShareLink() {
+        return navigator.clipboard.writeText(shareURL());
+    }
+
+    const settingsPanel = createSettingsPanel({
+        getConfig: () => config,
+        onChange: updateConfig,
+        onExport: exportSettings,
+        onImport: importSettings,
+        onCopyLink: copyShareLink
+    });
+    mount(settingsPanel.element);
+
+    const settingsButton = mount(element('button', {
+        className: 'tree-settings-toggle',
+        type: 'button',
+        title: 'Settings (S)',
+        textContent: '⚙'
+    }));
+    settingsButton.setAttribute('aria-label', 'Settings');
+    settingsButton.addEventListener('click', () => settingsPanel.toggle());
+
+    // --- Status & Announcements ---
+    // The status line is the visual readout (it changes every frame while a hand is seen),
+    // so screen readers get a separate polite live region that only hears real changes.
+    const statusDiv = mount(element('div', { className: 'tree-status', innerText: 'Status: Waiting for hand...' }));
+    statusDiv.setAttribute('aria-hidden', 'true');
+    const announcer = mount(element('div', { className: 'tree-announcer visually-hidden' }));
+    announcer.setAttribute('role', 'status');
+    announcer.setAttribute('aria-live', 'polite');
+
+    function announce(message) {
+        announcer.textContent = message;
+    }
+
+    function reportStatus(message) {
+        statusDiv.innerText = `Status: ${message}`;
+        statusDiv.style.color = '#fff';
+        announce(message);
+    }
+
+    // --- Manual Controls (no camera needed) ---
+    // Keys 1-9 / 0 pick a shape, Space cycles (Shift+Space backwards), 'r' toggles
+    // reduced motion, 'h' hides the buttons. On the canvas: tap = next shape,
+    // long-press = explode while held, two-finger tap = text.
+    let heldMode = null; // Mode to return to after a long-press
+
+    function selectMode(name) {
+        if (isFollower || !formations.has(name)) return;
+        pauseShowForInput();
+        activeTransition = transition;
+        setMode(name);
+    }
+
+    function cycleMode(direction) {
+        const names = formations.names();
+        const index = names.indexOf(mode);
+        selectMode(names[(index + direction + names.length) % names.length]);
+    }
+
+    function setReducedMotion(enabled) {
+        reducedMotion = enabled;
+        if (particles.has('EXPLODE')) buildFormation('EXPLODE');
+        applyBloom();
+        particles.setLighting(lighting());
+        modeBar.setReducedMotion(enabled);
+        announce(enabled ? 'Reduced motion on' : 'Reduced motion off');
+    }
+
+    listen(motionQuery, 'change', (event) => {
+        if (!urlParams.has('reducedMotion')) setReducedMotion(event.matches);
+    });
+
+    const modeBar = createModeBar({
+        onSelect: selectMode,
+        onToggleMotion: () => setReducedMotion(!reducedMotion)
+    });
+    modeBar.setModes(formations.names());
+    modeBar.setActive(mode);
+    modeBar.setReducedMotion(reducedMotion);
+    mount(modeBar.element);
+
+    attachTouchGestures(renderer.domElement, {
+        onTap: () => cycleMode(1),
+        onLongPressStart: () => {
+            heldMode = mode;
+            selectMode('EXPLODE');
+        },
+        onLongPressEnd: () => {
+            selectMode(heldMode || 'TREE');
+            heldMode = null;
+        },
+        onTwoFingerTap: () => selectMode('TEXT')
+    });
+
+    // --- MediaPipe Setup ---
+    // The library, runtime and models load on demand (see assets.js), so the scene
+    // runs without them. Whatever fails for good leaves an error notice with a retry,
+    // and the manual controls take over.
+    let handLandmarker = undefined;
+    let vision = null;      // The MediaPipe library
+    let visionFiles = null; // Its runtime, shared with the face landmarker
+    let cameraStream = null;
+    let webcamSource = null;
+    const loading = mount(element('div', { className: 'tree-loading', textContent: 'Loading AI Model...' }));
+    loading.setAttribute('role', 'status');
+    const ASSET_LABELS = { wasm: 'AI runtime', handModel: 'hand model', faceModel: 'face model' };
+
+    const assets = createAssetLoader({
+        sources: opts.assets,
+        onProgress: ({ name, loaded, total }) => {
+            const megabytes = (loaded / 1048576).toFixed(1);
+            loading.textContent = total > 0
+                ? `Loading ${ASSET_LABELS[name]}... ${Math.round((loaded / total) * 100)}%`
+                : `Loading ${ASSET_LABELS[name]}... ${megabytes} MB`;
+        },
+        onRetry: ({ name, attempt }) => {
+            loading.textContent = `Loading ${ASSET_LABELS[name]} failed, trying again (${attempt})...`;
+        }
+    });
+
+    // The library and its runtime, once
+    async function loadVision() {
+        if (!vision) vision = await import('@mediapipe/tasks-vision');
+        if (!visionFiles) visionFiles = await loadVisionFileset(assets, vision.FilesetResolver);
+    }
+    const video = mount(element('video', { className: 'tree-webcam', autoplay: true, playsInline: true }));
+
+    // getUserMedia error names -> what to tell the user
+    const CAMERA_ERRORS = {
+        NotAllowedError: 'Camera permission denied',
+        SecurityError: 'Camera blocked (the page needs HTTPS)',
+        NotFoundError: 'No camera found',
+        OverconstrainedError: 'No camera found',
+        NotReadableError: 'The camera is used by another app'
+    };
+
+    async function createHandLandmarker() {
+        loading.classList.remove('tree-error');
+        loading.textContent = 'Loading AI Model...';
+        loading.style.display = '';
+        await loadVision();
+        const model = await assets.fetch('handModel');
+        handLandmarker = await createWithFallback((delegate) => vision.HandLandmarker.createFromOptions(visionFiles, {
+            baseOptions: {
+                modelAssetBuffer: model.data,
+                delegate: delegate
+            },
+            runningMode: "VIDEO",
+            numHands: 2
+        }));
+        if (disposed) {
+            handLandmarker.close();
+            return;
+        }
+        loading.style.display = 'none';
+        startWebcam();
+        if (headTracking) setHeadTracking(true);
+    }
+
+    function startWebcam() {
+        if (!handLandmarker) return;
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            useManualControls('Camera not available (the page needs HTTPS)');
+            return;
+        }
+
+        const constraints = { video: true };
+        navigator.mediaDevices.getUserMedia(constraints).then((stream) => {
+            cameraStream = stream;
+            if (disposed) {
+                stopCamera();
+                return;
+            }
+            video.srcObject = stream;
+            video.style.display = ''; // Hidden if an earlier attempt failed
+            webcamSource = createWebcamSource(video, handLandmarker);
+            if (headTracking) webcamSource.setFaceLandmarker(faceLandmarker);
+            useInputSource(webcamSource);
+            markReady('camera');
+        }).catch((error) => {
+            console.error(error);
+            useManualControls(CAMERA_ERRORS[error.name] || 'Camera could not be started');
+        });
+    }
+
+    // Hand tracking can't be loaded: a notice that says why (and can try again),
+    // and the manual controls meanwhile
+    function failHandTracking(error) {
+        console.error(error);
+        useManualControls('Hand tracking could not be loaded');
+        // A failed import() stays failed for the page, so without the library only a reload helps
+        const retry = vision
+            ? element('button', { type: 'button', textContent: 'Try again' })
+            : element('button', { type: 'button', textContent: 'Reload page' });
+        retry.addEventListener('click', () => {
+            if (vision) createHandLandmarker().catch(failHandTracking);
+            else window.location.reload();
+        });
+        const message = vision ? error.message : `The MediaPipe library could not be loaded (${error.message})`;
+        loading.replaceChildren(element('span', { textContent: message }), retry);
+        loading.classList.add('tree-error');
+        loading.style.display = '';
+    }
+
+    // No hand tracking: say why and point to the other controls
+    function useManualControls(reason) {
+        loading.style.display = 'none';
+        video.style.display = 'none';
+        modeBar.toggle(true);
+        reportStatus(`${reason}. Use the buttons, keys 1-9 or tap the screen.`);
+        markReady('manual');
+    }
+
+    function stopCamera() {
+        if (cameraStream) cameraStream.getTracks().forEach((track) => track.stop());
+        cameraStream = null;
+        video.srcObject = null;
+    }
+
+    // --- Input Sources (webcam or recorded sessions) ---
+    let inputSource = null;
+    const recorder = createRecorder();
+
+    function useInputSource(source) {
+        if (inputSource) inputSource.stop();
+        inputSource = source;
+        gestureRecognizer.reset();
+        source.start((result, timestampMs) => {
+            recorder.record(result, timestampMs);
+            handleGestures(result, timestampMs);
+        });
+    }
+
+    function downloadJSON(data, filename) {
+        downloadBlob(new Blob([JSON.stringify(data)], { type: 'application/json' }), filename);
+    }
+
+    function startRecording() {
+        recorder.start();
+    }
+
+    // Stops recording and downloads the session as JSON
+    function stopRecording() {
+        const session = recorder.stop();
+        downloadJSON(session, `hand-session-${Date.now()}.json`);
+        return session;
+    }
+
+    // Replay a recording (object or URL). Options: { loop, speed, stepped }
+    async function replaySession(recording, options = {}) {
+        if (typeof recording === 'string') recording = await loadRecording(recording);
+        useInputSource(createPlaybackSource(recording, options));
+    }
+
+    // Advance a stepped replay by one frame
+    function stepSession() {
+        if (inputSource && inputSource.step) inputSource.step();
+    }
+
+    // Keys reach the scene when the container has the focus, or anywhere on the page
+    // with keyboard: 'window'
+    function handleKey(event) {
+        if (event.target.closest && event.target.closest('input, textarea, select')) return; // Typing in the settings
+        if (event.ctrlKey || event.metaKey || event.altKey) return; // Leave browser shortcuts alone
+        const modeIndex = MODE_KEYS.indexOf(event.key);
+        if (modeIndex !== -1 && modeIndex < formations.names().length) selectMode(formations.names()[modeIndex]);
+        if (event.key === ' ' && !(event.target.closest && event.target.closest('button'))) {
+            event.preventDefault(); // Don't scroll
+            cycleMode(event.shiftKey ? -1 : 1);
+        }
+        if (event.key === 'r') setReducedMotion(!reducedMotion);
+        if (event.key === 'h') modeBar.toggle();
+        if (event.key === 's') settingsPanel.toggle();
+        if (event.key === 'g') trainer.toggle();
+        if (event.key === 'ArrowRight') stepSession();
+        if (event.key === 'f') toggleStats();
+        if (event.key === 'w') cycleWeather();
+        if (event.key === 'o') setHeadTracking(!headTracking);
+        if (event.key === 'c') recenterHead();
+        if (event.key === 'i') captureWebcam();
+        if (event.key === 'p') saveImage();
+        if (event.key === 'm') useMicrophone();
+        if (event.key === 'v') {
+            const done = videoRecorder.recording ? stopVideo() : startVideo();
+            done.catch(() => reportStatus('Video recording failed'));
+        }
+    }
+
+    if (opts.keyboard === 'window') {
+        listen(window, 'keydown', handleKey);
+    } else if (opts.keyboard) {
+        if (container.tabIndex < 0) {
+            // Clicking the scene focuses it
+            const tabIndex = container.getAttribute('tabindex');
+            container.tabIndex = 0;
+            cleanups.push(() => {
+                if (tabIndex === null) container.removeAttribute('tabindex');
+                else container.setAttribute('tabindex', tabIndex);
+            });
+        }
+        listen(container, 'keydown', handleKey);
+    }
+
+    // --- Images ---
+    // A photo, logo or SVG (File, Blob, URL or anything drawable) as the IMAGE formation,
+    // in its own colors. `options` as in image.js; the settings hold the defaults.
+    async function setImage(source, options = {}) {
+        const image = source instanceof Blob || typeof source === 'string' ? await loadImage(source) : source;
+        registerFormation('IMAGE', createImageFormation(image, options));
+        setMode('IMAGE');
+    }
+
+    // The webcam's current frame as the IMAGE formation, mirrored like the preview
+    function captureWebcam() {
+        if (!video.srcObject || video.videoWidth === 0) {
+            reportStatus('No camera image to capture');
+            return;
+        }
+        setImage(video, { mirror: true }).catch((error) => console.error(error));
+        announce('Webcam frame captured');
+    }
+
+    // Drop a show or a recorded session (.json) to play it, a settings or gesture export to load it,
+    // a music file to visualize it, a 3D model (.glb, .gltf, .obj) to show it as the MESH formation,
+    // or an image (photo, logo, SVG) to show it as the IMAGE formation
+    listen(container, 'dragover', (event) => event.preventDefault());
+    listen(container, 'drop', (event) => {
+        event.preventDefault();
+        const file = event.dataTransfer.files[0];
+        if (!file) return;
+        if (file.name.endsWith('.json')) {
+            // Either a show (has steps) or a recorded hand session (has frames)
+            file.text().then((text) => {
+                const data = JSON.parse(text);
+                if (data.settings) return importSettings(data);
+                if (data.gestures) return importGestures(data);
+                return data.steps ? playShow(data) : replaySession(data, { loop: true });
+            }).catch((error) => {
+                console.error(error);
+                reportStatus(`Could not load ${file.name}`);
+            });
+        } else if (file.type.startsWith('audio/')) {
+            audio.useFile(file).catch((error) => console.error(error));
+        } else if (isMeshFile(file)) {
+            loadMeshFile(file).then((object) => {
+                registerFormation('MESH', createMeshFormation(object));
+                setMode('MESH');
+            }).catch((error) => {
+                console.error(error);
+                reportStatus(`Could not load ${file.name}`);
+            });
+        } else if (isImageFile(file)) {
+            setImage(file).catch((error) => {
+                console.error(error);
+                reportStatus(`Could not load ${file.name}`);
+            });
+        }
+    });
+
+    // --- Custom Gestures ---
+    // Gestures trained in the trainer panel ('g'), recognized next to the built-in
+    // ones (see classifier.js) and bound to an action each. Saved like the settings.
+    const GESTURE_STORAGE_KEY = opts.storage && `${opts.storage}-gestures`;
+    const TRAINING_SAMPLES = 20;
+    const TRAINING_DELAY_MS = 1000;     // Time to get the hand in place
+    const TRAINING_INTERVAL_MS = 100;   // Between samples, so they differ a little
+
+    const gestureModel = createGestureModel();
+    try {
+        const stored = GESTURE_STORAGE_KEY && JSON.parse(localStorage.getItem(GESTURE_STORAGE_KEY));
+        if (stored) gestureModel.load(stored);
+    } catch (error) {
+        console.warn('Stored gestures could not be loaded', error);
+    }
+
+    let training = null; // { name, remaining, nextAt } while recording samples
+
+    function saveGestures() {
+        if (!GESTURE_STORAGE_KEY) return;
+        try {
+            localStorage.setItem(GESTURE_STORAGE_KEY, JSON.stringify(gestureModel.toJSON()));
+        } catch (error) {
+            console.warn('Gestures could not be saved', error);
+        }
+    }
+
+    // Record samples of a gesture (new or existing) from the next hand frames
+    function recordGesture(name) {
+        if (isFollower) throw new Error('Followers have no camera');
+        training = { name: checkGestureName(name), remaining: TRAINING_SAMPLES, nextAt: null };
+        trainer.setMessage(`Get ready to show "${training.name}"...`);
+    }
+
+    function exportGestures() {
+        downloadJSON(gestureModel.toJSON(), 'tree-gestures.json');
+    }
+
+    // Replace all custom gestures with an exported file (or its parsed content)
+    async function importGestures(source) {
+        const data = source instanceof Blob ? JSON.parse(await source.text()) : source;
+        gestureModel.load(data);
+        saveGestures();
+        trainer.refresh();
+        announce(`${gestureModel.size} gestures loaded`);
+    }
+
+    function captureTrainingSample(hand, timestampMs) {
+        if (training.nextAt === null) training.nextAt = timestampMs + TRAINING_DELAY_MS;
+        if (!hand) {
+            trainer.setMessage(`Show "${training.name}" to the camera...`);
+            return;
+        }
+        if (timestampMs < training.nextAt) return;
+
+        gestureModel.addSample(training.name, hand.landmarks, hand.handedness);
+        training.remaining--;
+        training.nextAt = timestampMs + TRAINING_INTERVAL_MS;
+        trainer.setMessage(`Recording "${training.name}": ${TRAINING_SAMPLES - training.remaining} / ${TRAINING_SAMPLES}`);
+        if (training.remaining > 0) return;
+
+        trainer.setMessage(`Recorded "${training.name}"`);
+        announce(`Gesture ${training.name} recorded`);
+        training = null;
+        gestureRecognizer.reset(); // Start clean with the new gesture in the running
+        saveGestures();
+        trainer.refresh();
+    }
+
+    function describeAction(action) {
+        if (action.type === 'snapshot') return 'Snapshot';
+        if (action.type === 'text') return `Text "${action.value}"`;
+        return `${action.type.charAt(0).toUpperCase()}${action.type.slice(1)} ${action.value}`;
+    }
+
+    function runGestureAction(action) {
+        if (action.type === 'formation' && formations.has(action.value)) {
+            mode = action.value;
+        } else if (action.type === 'text') {
+            setText(action.value);
+            mode = 'TEXT';
+        } else if (action.type === 'theme') {
+            updateConfig({ theme: action.value });
+        } else if (action.type === 'snapshot') {
+            saveImage();
+        }
+    }
+
+    const trainer = createTrainerPanel({
+        getModel: () => gestureModel,
+        getChoices: (type) => (type === 'theme' ? THEME_NAMES : formations.names()),
+        onRecord: recordGesture,
+        onChange: saveGestures,
+        onExport: exportGestures,
+        onImport: importGestures
+    });
+    mount(trainer.element);
+
+    // --- Interaction Logic ---
+    // What each recognized gesture does. Two-hand gestures without an entry
+    // fall back to their single-hand counterpart (BOTH_FIST -> FIST).
+    const GESTURE_ACTIONS = {
+        NONE: { mode: 'TREE', status: 'No hand detected (Auto Tree)', color: '#fff' },
+        OPEN: { mode: 'EXPLODE', status: 'Hand OPEN -> Explode!', color: '#ff0000' },
+        FIST: { mode: 'TREE', status: 'Hand CLOSED -> Assemble Tree', color: '#00ff00' },
+        OK: { mode: 'SPHERE', status: 'OK Sign (👌) -> Sphere Mode!', color: '#00ffff' },
+        VICTORY: { mode: 'TEXT', status: 'Victory (✌️) -> Text Mode!', color: '#ffff00' },
+        BOTH_OPEN: { mode: 'TEXT', status: 'Both palms OPEN (🙌) -> Text Mode!', color: '#ff00ff' },
+        BOTH_OK: { mode: 'HEART', status: 'Two OK Signs (👌👌) -> Heart Mode!', color: '#ff66aa' },
+        BOTH_VICTORY: { mode: 'STAR', status: 'Double Victory (✌️✌️) -> Star Mode!', color: '#ffd700' }
+    };
+
+    const gestureRecognizer = createGestureRecognizer({ classifier: gestureModel });
+
+    function handleGestures(result, timestampMs) {
+        const recognition = gestureRecognizer.update(result, timestampMs);
+        const custom = gestureModel.getAction(recognition.gesture);
+        const action = custom
+            ? { status: `${recognition.gesture} -> ${describeAction(custom)}`, color: '#fff' }
+            : GESTURE_ACTIONS[recognition.gesture] || GESTURE_ACTIONS[recognition.gesture.replace('BOTH_', '')] ||
+                { status: recognition.gesture, color: '#fff' }; // A custom gesture deleted while held
+
+        if (training) {
+            // Recording samples: show what is seen, but don't act on it
+            captureTrainingSample(recognition.hands[0], timestampMs);
+        } else if (recognition.changed) {
+            // Only switch on a new gesture, so modes set from elsewhere stick until the hand changes
+            if (custom) runGestureAction(custom);
+            else mode = action.mode;
+            activeTransition = transition;
+        }
+        const confidence = Math.round(recognition.confidence * 100);
+        statusDiv.innerText = `Status: ${action.status} (${confidence}%)`;
+        statusDiv.style.color = action.color;
+
+        if (recognition.hands.length > 0) {
+            // Map Hand X position to rotation speed
+            const handX = recognition.hands[0].landmarks[9].x;
+            handRotateSpeed = (handX - 0.5) * 5;
+        } else {
+            handRotateSpeed = null;
+        }
+        const present = recognition.gesture !== 'NONE';
+        if (present !== handPresent) emit(present ? 'handdetected' : 'handlost', { gesture: recognition.gesture });
+        handPresent = present;
+        updateHandControls(recognition.hands[0]);
+        updateGust(recognition.hands[0], timestampMs);
+        const faces = headTracking && result.faceLandmarks;
+        headTracker.update(faces && faces.length > 0 ? faces[0] : null, timestampMs);
+    }
+
+    // --- Hand Physics & Camera ---
+    // The palm is a force field in the scene: an open hand pushes particles away,
+    // a fist pulls them in. Thumb and index spread (with the other fingers curled)
+    // zooms the camera, and the hand's height in the frame tilts the orbit.
+    const HAND_FORCE = 1.5;             // Force at the palm, units per frame²
+    const HAND_RADIUS = 18;             // Reach of the force field in world units
+    const PINCH_RANGE = [0.2, 1.2];     // Thumb-index distance (relative to hand size)...
+    const ZOOM_RANGE = [25, 90];        // ...mapped to the camera distance
+    const TILT_RANGE = [0.5, 1.7];      // Orbit polar angle with the hand at the top / bottom
+    const HAND_SMOOTHING = 0.15;        // Per frame at 60 fps
+
+    const handControls = {
+        screen: null,                   // Palm in normalized device coordinates, null without a hand
+        strength: 0,
+        zoom: null,                     // Camera distance to steer towards
+        tilt: null                      // Polar angle to steer towards
+    };
+    const handPosition = new THREE.Vector3();
+    const handRaycaster = new THREE.Raycaster();
+    const handPlane = new THREE.Plane();
+    const handPoint = new THREE.Vector3();
+    const cameraOffset = new THREE.Vector3();
+    const cameraSpherical = new THREE.Spherical();
+
+    function updateHandControls(hand) {
+        if (!hand) {
+            handControls.screen = null;
+            handControls.zoom = null;
+            handControls.tilt = null;
+            return;
+        }
+        const palm = hand.landmarks[9];
+        // The preview is mirrored, so moving the hand right moves the field right
+        const screen = new THREE.Vector2(1 - palm.x * 2, 1 - palm.y * 2);
+        if (!handControls.screen) handPosition.copy(projectHand(screen)); // Don't sweep in from the last spot
+        handControls.screen = screen;
+        handControls.strength = (hand.scores.OPEN - hand.scores.FIST) * HAND_FORCE;
+        handControls.tilt = THREE.MathUtils.lerp(TILT_RANGE[0], TILT_RANGE[1], palm.y);
+
+        const [index, middle, ring, pinky] = hand.extension;
+        const pinchPose = index > 0.15 && Math.max(middle, ring, pinky) < 0.3;
+        if (pinchPose) {
+            const spread = THREE.MathUtils.clamp(
+                (hand.pinch - PINCH_RANGE[0]) / (PINCH_RANGE[1] - PINCH_RANGE[0]), 0, 1);
+            handControls.zoom = THREE.MathUtils.lerp(ZOOM_RANGE[0], ZOOM_RANGE[1], spread);
+        } else {
+            handControls.zoom = null; // Keep the current distance
+        }
+    }
+
+    // Palm on the plane through the orbit target, facing the camera
+    function projectHand(screen) {
+        camera.getWorldDirection(handPlane.normal);
+        handPlane.setFromNormalAndCoplanarPoint(handPlane.normal, controls.target);
+        handRaycaster.setFromCamera(screen, camera);
+        return handRaycaster.ray.intersectPlane(handPlane, handPoint) || controls.target;
+    }
+
+    // `step` is the elapsed time in 60 fps frames
+    function updateHandPhysics(step) {
+        const smoothing = 1 - Math.pow(1 - HAND_SMOOTHING, step);
+        if (!handControls.screen) {
+            particles.setForce(null);
+        } else {
+            handPosition.lerp(projectHand(handControls.screen), smoothing);
+            particles.setForce(handPosition, handControls.strength, HAND_RADIUS);
+        }
+
+        if (handControls.zoom === null && handControls.tilt === null) return;
+        cameraOffset.subVectors(camera.position, controls.target);
+        cameraSpherical.setFromVector3(cameraOffset);
+        if (handControls.zoom !== null) {
+            cameraSpherical.radius += (handControls.zoom - cameraSpherical.radius) * smoothing;
+        }
+        if (handControls.tilt !== null) {
+            cameraSpherical.phi += (handControls.tilt - cameraSpherical.phi) * smoothing;
+        }
+        cameraOffset.setFromSpherical(cameraSpherical);
+        camera.position.copy(controls.target).add(cameraOffset);
+    }
+
+    // --- Head Tracking (Parallax) ---
+    // ?parallax (or 'o') also runs a FaceLandmarker on the webcam frames, in the same
+    // loop as the hands, and moves the camera with the viewer's head, so the screen
+    // works like a window into the scene. 'c' makes the current head position the
+    // center. ?parallax=2 doubles the effect.
+    const PARALLAX_RANGE = 40;      // Camera movement in world units per frame width of head movement
+    const PARALLAX_DEPTH = 0.5;     // Share of a lean towards the screen that moves the camera
+    const parallaxStrength = parseFloat(urlParams.get('parallax')) || 1;
+    let headTracking = urlParams.has('parallax');
+    let faceLandmarker = null;
+    let faceLoading = null;         // While the model loads
+    const headTracker = createHeadTracker();
+    const parallaxShift = new THREE.Vector3();
+    let parallaxFov = null;         // The camera's own fov while the parallax is applied
+
+    async function createFaceLandmarker() {
+        loading.style.display = ''; // For the download progress
+        const model = await assets.fetch('faceModel').finally(() => {
+            loading.style.display = 'none';
+        });
+        const face = await createWithFallback((delegate) => vision.FaceLandmarker.createFromOptions(visionFiles, {
+            baseOptions: {
+                modelAssetBuffer: model.data,
+                delegate: delegate
+            },
+            runningMode: "VIDEO",
+            numFaces: 1
+        }));
+        if (disposed) {
+            face.close();
+            return;
+        }
+        faceLandmarker = face;
+        if (headTracking && webcamSource) webcamSource.setFaceLandmarker(faceLandmarker);
+    }
+
+    function setHeadTracking(enabled) {
+        headTracking = enabled;
+        announce(enabled ? 'Head tracking on' : 'Head tracking off');
+        if (!handLandmarker) return; // Starts together with the hand tracking
+        if (webcamSource) webcamSource.setFaceLandmarker(enabled ? faceLandmarker : null);
+        if (enabled && !faceLandmarker && !faceLoading) {
+            faceLoading = createFaceLandmarker().catch((error) => {
+                console.error(error);
+                faceLoading = null;
+                headTracking = false;
+                reportStatus('Head tracking could not be loaded');
+            });
+        }
+    }
+
+    function recenterHead() {
+        headTracker.recenter();
+        announce('Head position centered');
+    }
+
+    // Moves the camera with the head for one render. The frustum goes off-axis, so
+    // the plane through the orbit target stays in place like a window pane.
+    function applyParallax() {
+        const { x, y, z } = headTracker.offset;
+        if (x === 0 && y === 0 && z === 0) return;
+        const distance = camera.position.distanceTo(controls.target);
+        const halfHeight = distance * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2);
+        const range = PARALLAX_RANGE * parallaxStrength;
+        const forward = THREE.MathUtils.clamp(z * PARALLAX_DEPTH * parallaxStrength, -0.5, 0.5) * distance;
+
+        parallaxShift.set(x * range, y * range, -forward).applyQuaternion(camera.quaternion);
+        camera.position.add(parallaxShift);
+        parallaxFov = camera.fov;
+        camera.fov = THREE.MathUtils.radToDeg(2 * Math.atan(halfHeight / (distance - forward)));
+        // Offsets in view heights: the pane moves against the camera
+        camera.setViewOffset(camera.aspect, 1, (-x * range) / (2 * halfHeight), (y * range) / (2 * halfHeight), camera.aspect, 1);
+        camera.updateMatrixWorld();
+    }
+
+    // Back to the orbit camera, which the controls and the hand steer
+    function clearParallax() {
+        if (parallaxFov === null) return;
+        camera.position.sub(parallaxShift);
+        camera.fov = parallaxFov;
+        parallaxFov = null;
+        camera.clearViewOffset();
+        camera.updateMatrixWorld();
+    }
+
+    // --- Audio Reactive Mode ---
+    // Drop a music file on the page or press 'm' for the microphone. Bass drives the
+    // glow and letter size, mids the spin, treble the snow. With ?beats (or
+    // tree.setBeatFormations(true)) beats also change the formation while no hand is seen.
+    const audio = createAudioInput();
+    const BEAT_FORMATIONS = ['TREE', 'SPHERE', 'STAR', 'HEART', 'SNOWFLAKE', 'GALAXY'];
+    const BEAT_MIN_INTERVAL = 2; // Seconds between beat-triggered formation changes
+    let beatFormations = urlParams.has('beats');
+    let beatIndex = 0;
+    let sinceBeatChange = Infinity;
+
+    function setBeatFormations(enabled) {
+        beatFormations = enabled;
+    }
+
+    // Apply the current audio levels; returns the snow speed factor
+    function updateAudio(delta) {
+        const levels = audio.update(delta * 1000);
+
+        bloomPass.strength = (config.bloomStrength + levels.bass * 1.5) * motionScale('glow');
+        particles.setSizeScale(1 + levels.bass * 0.6 * motionScale('pulse'));
+        audioRotateSpeed = 1.0 + levels.mid * 4;
+
+        sinceBeatChange += delta;
+        const showRunning = showPlayer !== null && showPlayer.playing;
+        if (levels.beat && beatFormations && !handPresent && !showRunning && sinceBeatChange >= BEAT_MIN_INTERVAL) {
+            beatIndex = (beatIndex + 1) % BEAT_FORMATIONS.length;
+            setMode(BEAT_FORMATIONS[beatIndex]);
+            sinceBeatChange = 0;
+        }
+        return 1 + levels.treble * 3;
+    }
+
+    function useMicrophone() {
+        audio.useMicrophone().catch((error) => {
+            console.error(error);
+            reportStatus('Microphone not available');
+        });
+    }
+
+    // Audio can only start after a user gesture
+    ['pointerdown', 'keydown'].forEach((type) => {
+        listen(window, type, () => audio.resume());
+    });
+
+    // --- Show Timeline ---
+    // A JSON show (see show.js) plays while nobody is in front of the camera.
+    // A hand takes over right away; the show picks up again a few seconds after it leaves.
+    const SHOW_RESUME_DELAY = 3; // Seconds without a hand
+    let showPlayer = null;
+    let showIdle = 0;
+
+    function applyShowStep(step) {
+        if (step.text !== undefined) setText(step.text);
+        if (step.palette) setPalette(step.palette);
+        activeTransition = step.transition || transition;
+        setMode(step.formation);
+    }
+
+    // Play a show (object or URL), replacing the current one
+    async function playShow(show) {
+        if (typeof show === 'string') show = await loadShow(show);
+        stopShow();
+        showPlayer = createShowPlayer(show, applyShowStep);
+        showPlayer.start();
+        showIdle = SHOW_RESUME_DELAY;
+    }
+
+    function stopShow() {
+        showPlayer = null;
+        activeTransition = transition;
+    }
+
+    // Manual input counts as someone being there, like a hand
+    function pauseShowForInput() {
+        showIdle = 0;
+        if (showPlayer) showPlayer.pause();
+    }
+
+    function updateShow(delta) {
+        if (!showPlayer || !showPlayer.playing) return;
+        if (handPresent) {
+            showIdle = 0;
+            showPlayer.pause();
+            return;
+        }
+        showIdle += delta;
+        if (showIdle < SHOW_RESUME_DELAY) return;
+        showPlayer.resume();
+        showPlayer.update(delta);
+    }
+
+    // --- Multi-screen Sync ---
+    // ?sync=leader on the screen with the camera, ?sync=follower on the others (same
+    // browser: nothing else needed; other machines: add &relay=ws://<host>:8787 and run
+    // node tools/sync-relay.mjs). &room=<name> separates groups. Followers get the
+    // leader's seed and settings when they join, then every formation change, text,
+    // palette and the camera orbit.
+    const syncRole = urlParams.get('sync'); // null = standalone
+    const sync = syncRole ? createSync({
+        role: syncRole,
+        room: urlParams.get('room') || 'tree',
+        relayUrl: urlParams.get('relay')
+    }) : null;
+    const isFollower = sync !== null && !sync.isLeader;
+    const CAMERA_SYNC_INTERVAL = 0.05; // Seconds between camera updates from the leader
+    const CAMERA_FOLLOW = 0.3;         // Per frame at 60 fps
+    let sinceCameraSync = 0;
+    let cameraPose = null;             // Latest leader camera on a follower
+
+    function broadcast(message) {
+        if (sync && sync.isLeader) sync.send(message);
+    }
+
+    function leaderSnapshot() {
+        return {
+            type: 'snapshot',
+            seed: seed,
+            settings: configDiff(config),
+            mode: shownMode,
+            transition: activeTransition,
+            text: textMessage,
+            options: textOptions
+        };
+    }
+
+    function adoptSnapshot(message) {
+        if (message.seed !== seed) {
+            // Every layout comes from the seed: lay them all out again with the leader's
+            seed = message.seed;
+            urlParams.set('seed', seed);
+            rebuildParticles();
+            rebuildBackground();
+            rebuildSnow();
+        }
+        updateConfig(resolveConfig(message.settings));
+        setText(message.text, message.options);
+        scheduleFormation(message.mode, message.transition, 0);
+    }
+
+    const followerHandlers = {
+        connected: () => sync.send({ type: 'hello' }),
+        snapshot: adoptSnapshot,
+        mode: (message) => scheduleFormation(message.mode, message.transition, message.at),
+        text: (message) => setText(message.text, message.options),
+        palette: (message) => setPalette(message.palette, message.fadeTime),
+        settings: (message) => updateConfig(resolveConfig(message.settings)),
+        camera: (message) => {
+            cameraPose = {
+                position: new THREE.Vector3().fromArray(message.position),
+                target: new THREE.Vector3().fromArray(message.target)
+            };
+        }
+    };
+
+    if (sync) {
+        sync.onMessage((message) => {
+            if (sync.isLeader) {
+                // Followers that were there first get the scene as soon as the leader is reachable
+                if (message.type === 'hello' || message.type === 'connected') sync.send(leaderSnapshot());
+            } else if (message.type === 'connected' || message.role === 'leader') {
+                const handler = followerHandlers[message.type];
+                if (handler) handler(message);
+            }
+        });
+        if (isFollower) {
+            controls.enabled = false;
+            controls.autoRotate = false;
+            sync.send({ type: 'hello' });
+        } else {
+            queueMicrotask(() => sync.send(leaderSnapshot())); // Once the scene is set up
+        }
+    }
+
+    // --- Formation Scheduling ---
+    // `mode` is what should be shown; changes reach the particles here. A leader
+    // announces each change with a start time a little in the future and starts it
+    // then itself, so every screen morphs in unison. A follower that gets a message
+    // late starts part way through to catch up.
+    let shownMode = mode;
+    let scheduled = null; // { mode, transition, at (sync clock ms, 0 = now) }
+
+    function scheduleFormation(name, transitionOptions, at) {
+        scheduled = { mode: name, transition: transitionOptions, at: at };
+        if (isFollower) mode = name;
+    }
+
+    function updateFormation() {
+        // Followers only show what the leader sends
+        if (!isFollower && mode !== shownMode && (!scheduled || scheduled.mode !== mode)) {
+            const at = sync ? sync.clock.now() + SYNC_DELAY_MS : 0;
+            scheduleFormation(mode, activeTransition, at);
+            broadcast({ type: 'mode', mode: mode, transition: activeTransition, at: at });
+        }
+        if (!scheduled) return;
+        const now = sync ? sync.clock.now() : 0;
+        if (now < scheduled.at) return;
+        const late = scheduled.at > 0 ? (now - scheduled.at) / 1000 : 0;
+        showFormation(scheduled.mode, scheduled.transition, late);
+        if (scheduled.mode !== shownMode) {
+            modeBar.setActive(scheduled.mode);
+            announce(`Shape: ${scheduled.mode.toLowerCase()}`);
+            emit('modechange', { mode: scheduled.mode, previous: shownMode });
+        }
+        shownMode = scheduled.mode;
+        scheduled = null;
+    }
+
+    function updateCameraSync(delta) {
+        if (!sync) return;
+        if (sync.isLeader) {
+            sinceCameraSync += delta;
+            if (sinceCameraSync < CAMERA_SYNC_INTERVAL) return;
+            sinceCameraSync = 0;
+            sync.send({ type: 'camera', position: camera.position.toArray(), target: controls.target.toArray() });
+        } else if (cameraPose) {
+            const follow = 1 - Math.pow(1 - CAMERA_FOLLOW, delta * 60);
+            camera.position.lerp(cameraPose.position, follow);
+            controls.target.lerp(cameraPose.target, follow);
+        }
+    }
+
+    // --- Animation Loop ---
+    const clock = new THREE.Clock();
+    let fixedTimestep = null; // Seconds per frame while exporting video, null = real time
+
+    // Advance everything by `delta` seconds
+    function updateScene(delta) {
+        const step = delta * 60; // Speeds below are tuned per frame at 60 fps
+
+        // Springs towards the current formation, pushed around by the hand (all on the GPU)
+        updateShow(delta);
+        updateFormation();
+        updateHandPhysics(step);
+        particles.update(delta);
+        topper.update(delta, particles.target === 'TREE', motionScale('twinkle'));
+
+        const snowSpeed = updateAudio(delta);
+        controls.autoRotateSpeed = (handRotateSpeed !== null ? handRotateSpeed : audioRotateSpeed) * motionScale('spin');
+
+        background.update(step);
+        snow.setCone(particles.target === 'TREE' ? snowCone : null);
+        snow.update(step * snowSpeed);
+        updateCameraSync(delta);
+        controls.update(delta);
+    }
+
+    let frameRequest = null;
+
+    function animate() {
+        frameRequest = requestAnimationFrame(animate);
+
+        const frameTime = clock.getDelta();
+        const realDelta = Math.min(frameTime, 0.1); // Don't jump after a stall
+        updateScene(fixedTimestep || realDelta);
+        applyParallax();
+        // renderer.render(scene, camera); // Replaced by composer
+        composer.render();
+        videoRecorder.frame();
+        clearParallax();
+        updatePerformance(frameTime * 1000);
+    }
+
+    let paused = false; // By pause(), unlike a hidden page
+
+    function stopLoop() {
+        if (frameRequest === null) return;
+        cancelAnimationFrame(frameRequest);
+        frameRequest = null;
+        if (inputSource) inputSource.pause();
+    }
+
+    function startLoop() {
+        if (frameRequest !== null || paused || disposed || document.hidden) return;
+        clock.getDelta(); // Drop the stopped time
+        if (inputSource) inputSource.resume();
+        animate();
+    }
+
+    // Nothing to see in a hidden tab: stop rendering and hand tracking, and pick up
+    // where they were (without a jump) when the page is shown again
+    listen(document, 'visibilitychange', () => (document.hidden ? stopLoop() : startLoop()));
+
+    // Freeze the scene and hand tracking, e.g. while it is scrolled out of view
+    function pause() {
+        paused = true;
+        stopLoop();
+    }
+
+    function resume() {
+        paused = false;
+        startLoop();
+    }
+
+    // Everything that depends on the output size. `updateStyle` false keeps the
+    // canvas' on-page size (used for exports at other resolutions).
+    function resizeScene(width, height, pixelRatio, updateStyle = true, bloomScale = governor.quality.bloom) {
+        camera.aspect = width / height;
+        camera.updateProjectionMatrix();
+        renderer.setPixelRatio(pixelRatio);
+        renderer.setSize(width, height, updateStyle);
+        composer.setPixelRatio(pixelRatio);
+        composer.setSize(width, height);
+        // The glow is blurred anyway, so its buffers can be smaller than the canvas
+        bloomPass.setSize(Math.round(width * pixelRatio * bloomScale), Math.round(height * pixelRatio * bloomScale));
+        particles.setViewport(height, pixelRatio);
+    }
+
+    // Follow the container's size
+    const resizeObserver = new ResizeObserver(() => {
+        resizeScene(viewWidth(), viewHeight(), currentPixelRatio());
+        if (particles.has('TEXT')) buildFormation('TEXT'); // Re-fit the message to the new view
+    });
+    resizeObserver.observe(container);
+    cleanups.push(() => resizeObserver.disconnect());
+
+    // --- Quality & Stats ---
+    // Draw only part of the particles, snow and background at lower levels
+    function applyDensity() {
+        const quality = governor.quality;
+        particles.setDrawCount(config.particles * quality.particles);
+        snow.setDensity(quality.snow);
+        background.setDensity(quality.background);
+    }
+
+    function applyQuality() {
+        applyDensity();
+        resizeScene(viewWidth(), viewHeight(), currentPixelRatio());
+    }
+
+    // Pin a quality level (index or name, see performance.js), or null to adapt again
+    function setQuality(level) {
+        adaptiveQuality = level === null;
+        governor.setLevel(adaptiveQuality ? QUALITY_LEVELS.length - 1 : qualityLevel(String(level)));
+        applyQuality();
+    }
+
+    const STATS_INTERVAL = 0.5; // Seconds between overlay updates
+    const statsDiv = mount(element('div', { className: 'tree-stats', hidden: !urlParams.has('stats') }));
+    statsDiv.setAttribute('aria-hidden', 'true');
+    let statsTimer = STATS_INTERVAL;
+
+    function toggleStats(visible = statsDiv.hidden) {
+        statsDiv.hidden = !visible;
+        statsTimer = STATS_INTERVAL;
+    }
+
+    function updateStats(frameMs) {
+        statsTimer += frameMs / 1000;
+        if (statsDiv.hidden || statsTimer < STATS_INTERVAL) return;
+        statsTimer = 0;
+        const quality = governor.quality;
+        statsDiv.textContent = [
+            `${governor.fps.toFixed(0)} fps (${governor.averageMs.toFixed(1)} ms)`,
+            `Quality: ${quality.name}${adaptiveQuality ? '' : ' (fixed)'}`,
+            `Pixel ratio: ${renderer.getPixelRatio().toFixed(2)}`,
+            `Particles: ${Math.round(config.particles * quality.particles)} / ${config.particles}`
+        ].join('\n');
+    }
+
+    function updatePerformance(frameMs) {
+        // Held while recording: the frame size can't change mid-video, and fixed-step export is slow on purpose
+        if (adaptiveQuality && !videoRecorder.recording && governor.update(frameMs)) applyQuality();
+        updateStats(frameMs);
+    }
+
+    // --- Lifecycle ---
+    // Stop everything and free the GPU memory, the camera, the microphone and the
+    // hand tracking model. The container is left as it was found.
+    function dispose() {
+        if (disposed) return;
+        stopLoop();
+        disposed = true;
+        if (inputSource) inputSource.stop();
+        if (handLandmarker) handLandmarker.close();
+        if (faceLandmarker) faceLandmarker.close();
+        if (visionFiles) URL.revokeObjectURL(visionFiles.wasmBinaryPath);
+        stopCamera();
+        if (videoRecorder.recording) videoRecorder.stop().catch(() => {});
+        audio.dispose();
+        if (sync) sync.close();
+        stopShow();
+
+        particles.dispose();
+        background.dispose();
+        snow.dispose();
+        topper.dispose();
+        bloomPass.dispose();
+        composer.dispose();
+        controls.dispose();
+        renderer.dispose();
+        renderer.forceContextLoss(); // Browsers allow only a few WebGL contexts per page
+
+        cleanups.forEach((cleanup) => cleanup());
+        container.classList.remove('christmas-tree');
+        eventHandlers.clear();
+    }
+
+    // --- Capture ---
+    // With WebCodecs the scene runs with a fixed timestep while recording, so every
+    // video frame advances the animation by the same amount even if rendering can't
+    // keep up in real time (the live view slows down instead). Otherwise the video is
+    // recorded in real time. Either way the quality is held steady, so the frame size
+    // doesn't change mid-recording.
+    const videoRecorder = createVideoRecorder(renderer.domElement);
+
+    async function startVideo(fps = 60) {
+        if (videoRecorder.recording) return;
+        await videoRecorder.start(fps);
+        if (videoRecorder.fixedStep) fixedTimestep = 1 / fps;
+    }
+
+    async function stopVideo() {
+        fixedTimestep = null;
+        const blob = await videoRecorder.stop();
+        if (blob) downloadBlob(blob, `christmas-tree-${Date.now()}.webm`);
+        return blob;
+    }
+
+    // Save a PNG at any resolution (4K by default), independent of the window size
+    function saveImage(width = 3840, height = 2160) {
+        // Stay within what the GPU can render to
+        const limit = renderer.capabilities.maxTextureSize;
+        const scale = Math.min(1, limit / Math.max(width, height));
+        const blob = renderStill(renderer.domElement, Math.round(width * scale), Math.round(height * scale), {
+            resize: (w, h) => resizeScene(w, h, 1, false, 1),
+            restore: () => resizeScene(viewWidth(), viewHeight(), currentPixelRatio()),
+            render: () => composer.render()
+        });
+        downloadBlob(blob, `christmas-tree-${Date.now()}.png`);
+        return blob;
+    }
+
+    // Start
+    // ?replay=<url> drives the scene from a recorded session instead of the camera
+    // (add &loop to repeat it, &step to advance with the right arrow key)
+    if (urlParams.has('replay')) {
+        loading.style.display = 'none';
+        replaySession(urlParams.get('replay'), {
+            loop: urlParams.has('loop'),
+            stepped: urlParams.has('step')
+        }).then(() => markReady('replay')).catch((error) => {
+            console.error(error);
+            useManualControls('Could not load the recording');
+        });
+    } else if (isFollower) {
+        // Followers mirror the leader and never touch the camera
+        loading.style.display = 'none';
+        video.style.display = 'none';
+        reportStatus(`Following the leader (room "${sync.room}")`);
+        markReady('follower');
+    } else if (!opts.camera) {
+        useManualControls('Camera off');
+    } else {
+        createHandLandmarker().catch(failHandTracking);
+    }
+    // ?show=<url> plays a show whenever no hand is detected, e.g. ?show=shows/lobby.json
+    if (urlParams.has('show')) {
+        playShow(urlParams.get('show')).catch((error) => {
+            console.error(error);
+            reportStatus('Could not load the show');
+        });
+    }
+    applyQuality();
+    startLoop();
+
+    // The controller; the standalone page puts it on window.tree for the console
+    return {
+        setText,
+        setMode,
+        registerFormation,
+        setImage,
+        captureWebcam,
+        listFormations: () => formations.names(),
+        startRecording,
+        stopRecording,
+        replaySession,
+        stepSession,
+        startVideo,
+        stopVideo,
+        saveImage,
+        useMusic: (file) => audio.useFile(file),
+        useMicrophone,
+        stopAudio: () => audio.stop(),
+        setBeatFormations,
+        setTransition,
+        setPalette,
+        setTheme: (name) => updateConfig({ theme: name }),
+        setWeather: (name) => updateConfig({ weather: name }),
+        setHeadTracking,
+        recenterHead,
+        recordGesture,
+        exportGestures,
+        importGestures,
+        listGestures: () => gestureModel.list(),
+        playShow,
+        stopShow,
+        getMode: () => mode,
+        setReducedMotion,
+        getSettings: () => structuredClone(config),
+        updateSettings: updateConfig,
+        exportSettings,
+        importSettings,
+        getShareURL: shareURL,
+        setQuality,
+        getQuality: () => governor.quality.name,
+        toggleStats,
+        pause,
+        resume,
+        dispose,
+        on,
+        off
+    };
+}
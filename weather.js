@@ -0,0 +1,336 @@
+// --- Weather ---
+// Snowfall as plain data. Flakes drift on a turbulent wind field, hand swipes
+// blow gusts through it, and flakes that land on the tree cone or the ground
+// settle there, pile up and melt away again. No DOM and no Three.js (snow.js
+// draws the flakes), so a snowfall can be run and checked in Node.
+// Speeds are in units per frame at 60 fps, like the rest of the scene.
+
+// From a few flakes to a storm. `flakes` scales the configured count, `fall`
+// the falling speed; `wind` is the steady wind and `turbulence` the gusty part.
+export const WEATHER_PRESETS = {
+    calm: { flakes: 0.25, fall: 0.7, wind: 0, turbulence: 0.02 },
+    light: { flakes: 0.5, fall: 0.85, wind: 0.03, turbulence: 0.04 },
+    moderate: { flakes: 1, fall: 1, wind: 0.06, turbulence: 0.06 },
+    heavy: { flakes: 2, fall: 1.2, wind: 0.12, turbulence: 0.1 },
+    blizzard: { flakes: 3, fall: 1.5, wind: 0.45, turbulence: 0.25 }
+};
+
+export const WEATHER_NAMES = Object.keys(WEATHER_PRESETS);
+
+export const DEFAULT_WEATHER_OPTIONS = {
+    count: 1000,            // Flakes at 'moderate'; the other presets scale it
+    weather: 'moderate',
+    box: 200,               // Side of the volume the flakes fall through
+    top: 100,               // Where flakes enter
+    ground: -60,            // Height of the ground, null = none (flakes fall through)
+    melt: 15,               // Average seconds a settled flake lasts
+    stick: 0.3,             // Share of the flakes that land and stay; the others melt on contact
+    cellSize: 4,            // Ground grid for the piles
+    flakeDepth: 0.12,       // How much one settled flake adds to its pile
+    response: 0.05,         // How fast flakes pick up the wind, per frame
+    gustDecay: 1.5,         // Seconds for a gust to die down to a third
+    maxGust: 1.2,           // Strongest gust
+    random: Math.random     // PRNG for spawn positions, fall speeds and melt times
+};
+
+// Piles on the cone: rows from the base to the tip, columns around it
+const CONE_ROWS = 16;
+const CONE_COLUMNS = 24;
+
+// Share of its life a settled flake spends fading out
+const MELT_FADE = 0.3;
+
+// Turbulence: a few crossing sine waves that drift over time. Cheap, smooth,
+// and different at every place in the volume.
+export function windAt(x, y, z, time, preset, out = { x: 0, y: 0, z: 0 }) {
+    const heading = 0.6 + 0.5 * Math.sin(time * 0.05); // The steady wind veers slowly
+    const t = preset.turbulence;
+    out.x = preset.wind * Math.cos(heading) +
+        t * (Math.sin(0.045 * y + 0.8 * time) + 0.6 * Math.sin(0.083 * z - 1.3 * time + 1.7));
+    out.y = t * 0.4 * Math.sin(0.06 * x + 0.05 * z + 1.1 * time);
+    out.z = preset.wind * Math.sin(heading) +
+        t * (Math.sin(0.05 * x - 0.9 * time + 2.3) + 0.6 * Math.sin(0.071 * y + 1.2 * time));
+    return out;
+}
+
+// Radius of the cone at height y, or -1 outside its height
+export function coneRadiusAt(cone, y) {
+    if (y > cone.top || y < cone.bottom) return -1;
+    return cone.radius * (cone.top - y) / (cone.top - cone.bottom);
+}
+
+export function createWeather(options = {}) {
+    const opts = { ...DEFAULT_WEATHER_OPTIONS, ...options };
+    const { random, box } = opts;
+    const half = box / 2;
+
+    if (!WEATHER_PRESETS[opts.weather]) throw new Error(`Unknown weather: ${opts.weather}`);
+    let preset = WEATHER_PRESETS[opts.weather];
+    let weatherName = opts.weather;
+
+    // Enough flakes for the heaviest preset; `active` of them are in use
+    const maxShare = Math.max(...WEATHER_NAMES.map((name) => WEATHER_PRESETS[name].flakes));
+    const capacity = Math.round(opts.count * maxShare);
+    const positions = new Float32Array(capacity * 3);
+    const velocities = new Float32Array(capacity * 3);
+    const fallSpeeds = new Float32Array(capacity);
+    const life = new Float32Array(capacity);        // Seconds left while settled, 0 while falling
+    const piles = new Int32Array(capacity).fill(-1); // Pile a settled flake belongs to
+    const fade = new Float32Array(capacity).fill(1); // 1 = fully there, down to 0 while melting
+
+    // Pile heights: the ground grid first, then the cone
+    const cells = Math.ceil(box / opts.cellSize);
+    const groundPiles = cells * cells;
+    const pileHeights = new Float32Array(groundPiles + CONE_ROWS * CONE_COLUMNS);
+
+    let ground = opts.ground;
+    let cone = null; // { top, bottom, radius }
+    let melt = opts.melt;
+    let density = 1;
+    let active = 0;
+    let time = 0;
+    const gust = { x: 0, y: 0, z: 0 };
+    const wind = { x: 0, y: 0, z: 0 };
+
+    // `anywhere`: somewhere above the ground (at the start), otherwise at the top
+    function spawn(i, anywhere) {
+        const floor = ground === null ? opts.top - box : Math.max(ground, opts.top - box);
+        positions[i * 3] = (random() - 0.5) * box;
+        positions[i * 3 + 1] = anywhere ? opts.top - random() * (opts.top - floor) : opts.top;
+        positions[i * 3 + 2] = (random() - 0.5) * box;
+        velocities[i * 3] = 0;
+        velocities[i * 3 + 1] = -fallSpeeds[i];
+        velocities[i * 3 + 2] = 0;
+        life[i] = 0;
+        fade[i] = 1;
+    }
+
+    function settle(i, pile, height) {
+        if (random() >= opts.stick) {
+            spawn(i, false);
+            return;
+        }
+        piles[i] = pile;
+        pileHeights[pile] += opts.flakeDepth;
+        life[i] = melt * (0.5 + random());
+        positions[i * 3 + 1] = Math.max(positions[i * 3 + 1], height);
+    }
+
+    // Off its pile, falling again (from where it was, or from the top after melting)
+    function release(i, respawn) {
+        if (piles[i] === -1) return;
+        pileHeights[piles[i]] = Math.max(0, pileHeights[piles[i]] - opts.flakeDepth);
+        piles[i] = -1;
+        life[i] = 0;
+        fade[i] = 1;
+        if (respawn) spawn(i, false);
+    }
+
+    function releaseAll(test) {
+        for (let i = 0; i < active; i++) {
+            if (piles[i] !== -1 && test(piles[i])) release(i, false);
+        }
+    }
+
+    function groundPile(x, z) {
+        const column = Math.min(cells - 1, Math.max(0, Math.floor((x + half) / opts.cellSize)));
+        const row = Math.min(cells - 1, Math.max(0, Math.floor((z + half) / opts.cellSize)));
+        return row * cells + column;
+    }
+
+    function conePile(x, y, z) {
+        const share = (y - cone.bottom) / (cone.top - cone.bottom);
+        const row = Math.min(CONE_ROWS - 1, Math.floor(share * CONE_ROWS));
+        const angle = Math.atan2(z, x) / (Math.PI * 2) + 0.5;
+        const column = Math.min(CONE_COLUMNS - 1, Math.floor(angle * CONE_COLUMNS));
+        return groundPiles + row * CONE_COLUMNS + column;
+    }
+
+    // Lands a falling flake on the cone or the ground if it reached one
+    function land(i) {
+        const x = positions[i * 3];
+        const y = positions[i * 3 + 1];
+        const z = positions[i * 3 + 2];
+        if (cone) {
+            const radius = coneRadiusAt(cone, y);
+            const distance = Math.hypot(x, z);
+            if (radius >= 0) {
+                const pile = conePile(x, y, z);
+                const surface = radius + pileHeights[pile];
+                if (distance < surface) {
+                    // Onto the surface, on top of the snow already there
+                    const scale = distance > 1e-6 ? surface / distance : 0;
+                    positions[i * 3] = distance > 1e-6 ? x * scale : surface;
+                    positions[i * 3 + 2] = z * scale;
+                    settle(i, pile, y);
+                    return;
+                }
+            }
+        }
+        if (ground !== null) {
+            const pile = groundPile(x, z);
+            const surface = ground + pileHeights[pile];
+            if (y <= surface) settle(i, pile, surface);
+        }
+    }
+
+    function setActive(count) {
+        const next = Math.min(capacity, Math.max(0, Math.round(count)));
+        // Flakes that leave take their share of the piles with them
+        for (let i = next; i < active; i++) release(i, false);
+        for (let i = active; i < next; i++) spawn(i, true);
+        active = next;
+    }
+
+    function updateActive() {
+        setActive(opts.count * preset.flakes * density);
+    }
+
+    for (let i = 0; i < capacity; i++) fallSpeeds[i] = 0.1 + random() * 0.3;
+    updateActive();
+
+    // `step` is the elapsed time in 60 fps frames
+    function update(step = 1) {
+        const seconds = step / 60;
+        time += seconds;
+        const response = 1 - Math.pow(1 - opts.response, step);
+        const calm = Math.exp(-seconds / opts.gustDecay);
+        gust.x *= calm;
+        gust.y *= calm;
+        gust.z *= calm;
+
+        for (let i = 0; i < active; i++) {
+            if (piles[i] !== -1) {
+                life[i] -= seconds;
+                fade[i] = Math.min(1, life[i] / (melt * MELT_FADE));
+                if (life[i] <= 0) release(i, true);
+                continue;
+            }
+
+            const p = i * 3;
+            windAt(positions[p], positions[p + 1], positions[p + 2], time, preset, wind);
+            velocities[p] += (wind.x + gust.x - velocities[p]) * response;
+            velocities[p + 1] += (wind.y + gust.y - fallSpeeds[i] * preset.fall - velocities[p + 1]) * response;
+            velocities[p + 2] += (wind.z + gust.z - velocities[p + 2]) * response;
+            positions[p] += velocities[p] * step;
+            positions[p + 1] += velocities[p + 1] * step;
+            positions[p + 2] += velocities[p + 2] * step;
+
+            // Blown out of the volume: back in on the other side
+            if (positions[p] > half) positions[p] -= box;
+            else if (positions[p] < -half) positions[p] += box;
+            if (positions[p + 2] > half) positions[p + 2] -= box;
+            else if (positions[p + 2] < -half) positions[p + 2] += box;
+            if (positions[p + 1] > opts.top) positions[p + 1] = opts.top;
+
+            land(i);
+            if (piles[i] === -1 && positions[p + 1] < opts.top - box) spawn(i, false); // Fell through
+        }
+    }
+
+    return {
+        positions,
+        fade,
+        capacity,
+        get active() {
+            return active;
+        },
+        get weather() {
+            return weatherName;
+        },
+        // Flakes lying on the tree or the ground
+        get settled() {
+            let settled = 0;
+            for (let i = 0; i < active; i++) if (piles[i] !== -1) settled++;
+            return settled;
+        },
+        update,
+        setWeather(name) {
+            if (!WEATHER_PRESETS[name]) throw new Error(`Unknown weather: ${name}`);
+            preset = WEATHER_PRESETS[name];
+            weatherName = name;
+            updateActive();
+        },
+        // Fraction (0..1) of the preset's flakes, see the quality governor
+        setDensity(fraction) {
+            density = Math.min(Math.max(fraction, 0), 1);
+            updateActive();
+        },
+        // Seconds settled flakes last on average (for flakes that settle from now on)
+        setMelt(seconds) {
+            melt = Math.max(0.1, seconds);
+        },
+        // Add a gust (units per frame in each direction); gusts add up to maxGust and die down
+        gust(x, y, z) {
+            gust.x += x;
+            gust.y += y;
+            gust.z += z;
+            const strength = Math.hypot(gust.x, gust.y, gust.z);
+            if (strength > opts.maxGust) {
+                const scale = opts.maxGust / strength;
+                gust.x *= scale;
+                gust.y *= scale;
+                gust.z *= scale;
+            }
+        },
+        // The cone snow settles on ({ top, bottom, radius }, upright around the y axis), or null.
+        // Snow on the old cone falls off.
+        setCone(next) {
+            if (next === cone) return;
+            releaseAll((pile) => pile >= groundPiles);
+            pileHeights.fill(0, groundPiles);
+            cone = next;
+        },
+        // Height of the ground, or null for none. Snow on the old ground falls on.
+        setGround(height) {
+            if (height === ground) return;
+            releaseAll((pile) => pile < groundPiles);
+            pileHeights.fill(0, 0, groundPiles);
+            ground = height;
+        }
+    };
+}
+
+// --- Swipes ---
+// Hand velocity from landmark positions (in frame widths, e.g. the palm's) over
+// time. A fast enough movement is a swipe, returned as a direction and a gust strength.
+export const DEFAULT_SWIPE_OPTIONS = {
+    threshold: 1.5,         // Frame widths per second before a movement is a swipe
+    gain: 0.3,              // Gust strength per frame width per second above that
+    smoothingMs: 60,        // Time constant of the velocity average
+    maxGapMs: 250           // Longer gaps between frames start over
+};
+
+export function createSwipeTracker(options = {}) {
+    const opts = { ...DEFAULT_SWIPE_OPTIONS, ...options };
+    let last = null;
+    let vx = 0;
+    let vy = 0;
+
+    function reset() {
+        last = null;
+        vx = 0;
+        vy = 0;
+    }
+
+    return {
+        reset,
+        // Feed a position; returns { x, y (unit direction), strength } while swiping, else null
+        update(x, y, timestampMs) {
+            const gap = last === null ? Infinity : timestampMs - last.t;
+            if (gap > opts.maxGapMs) reset();
+            if (last === null || gap <= 0) {
+                last = { x, y, t: timestampMs };
+                return null;
+            }
+            const k = 1 - Math.exp(-gap / opts.smoothingMs);
+            vx += ((x - last.x) / (gap / 1000) - vx) * k;
+            vy += ((y - last.y) / (gap / 1000) - vy) * k;
+            last = { x, y, t: timestampMs };
+
+            const speed = Math.hypot(vx, vy);
+            if (speed < opts.threshold) return null;
+            return { x: vx / speed, y: vy / speed, strength: (speed - opts.threshold) * opts.gain };
+        }
+    };
+}
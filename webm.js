@@ -0,0 +1,132 @@
+// --- WebM Muxer ---
+// Packs encoded VP8/VP9 frames (from WebCodecs' VideoEncoder) into a WebM file,
+// with the timestamps the frames were given rather than the wall clock, so a
+// video rendered slower than real time still plays at the right speed. Frames
+// are kept in memory and the file is written in one go by finish(), which also
+// knows the duration. No DOM, so it also runs in Node.
+
+// Element IDs (Matroska / WebM)
+const EBML = 0x1A45DFA3;
+const EBML_VERSION = 0x4286;
+const EBML_READ_VERSION = 0x42F7;
+const EBML_MAX_ID_LENGTH = 0x42F2;
+const EBML_MAX_SIZE_LENGTH = 0x42F3;
+const DOC_TYPE = 0x4282;
+const DOC_TYPE_VERSION = 0x4287;
+const DOC_TYPE_READ_VERSION = 0x4285;
+const SEGMENT = 0x18538067;
+const INFO = 0x1549A966;
+const TIMECODE_SCALE = 0x2AD7B1;
+const MUXING_APP = 0x4D80;
+const WRITING_APP = 0x5741;
+const DURATION = 0x4489;
+const TRACKS = 0x1654AE6B;
+const TRACK_ENTRY = 0xAE;
+const TRACK_NUMBER = 0xD7;
+const TRACK_UID = 0x73C5;
+const TRACK_TYPE = 0x83;
+const CODEC_ID = 0x86;
+const VIDEO = 0xE0;
+const PIXEL_WIDTH = 0xB0;
+const PIXEL_HEIGHT = 0xBA;
+const CLUSTER = 0x1F43B675;
+const TIMECODE = 0xE7;
+const SIMPLE_BLOCK = 0xA3;
+
+export const WEBM_CODECS = { vp8: 'V_VP8', vp9: 'V_VP9' };
+
+// A cluster's blocks store their time as a signed 16-bit offset (ms)
+const MAX_CLUSTER_MS = 30000;
+
+function idBytes(id) {
+    const bytes = [];
+    for (let value = id; value > 0; value = Math.floor(value / 256)) bytes.unshift(value & 0xFF);
+    return bytes;
+}
+
+// Sizes always take 8 bytes: simple, and valid for any length
+function sizeBytes(size) {
+    const bytes = [0x01];
+    for (let i = 6; i >= 0; i--) bytes.push(Math.floor(size / 2 ** (i * 8)) & 0xFF);
+    return bytes;
+}
+
+function uintBytes(value) {
+    const bytes = [];
+    for (let v = value; v > 0; v = Math.floor(v / 256)) bytes.unshift(v & 0xFF);
+    return bytes.length > 0 ? bytes : [0];
+}
+
+// Elements are lists of byte chunks, never copied into one array until the Blob
+function element(id, children) {
+    const chunks = children.flat();
+    const size = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    return [Uint8Array.from([...idBytes(id), ...sizeBytes(size)]), ...chunks];
+}
+
+const uint = (id, value) => element(id, [Uint8Array.from(uintBytes(value))]);
+const string = (id, text) => element(id, [new TextEncoder().encode(text)]);
+function float(id, value) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value);
+    return element(id, [bytes]);
+}
+
+// options: { width, height, codec ('vp8' or 'vp9') }
+export function createWebmMuxer(options) {
+    const { width, height, codec = 'vp9' } = options;
+    if (!WEBM_CODECS[codec]) throw new Error(`Unsupported codec: ${codec}`);
+    const frames = []; // { data, timeMs, keyFrame }
+
+    return {
+        get frameCount() {
+            return frames.length;
+        },
+        // One encoded frame, `timeMs` from the start of the video
+        addFrame(data, timeMs, keyFrame) {
+            frames.push({ data: Uint8Array.from(data), timeMs: Math.round(timeMs), keyFrame });
+        },
+        // The whole file as a list of byte chunks (e.g. for new Blob(chunks))
+        finish(durationMs) {
+            const header = element(EBML, [
+                uint(EBML_VERSION, 1),
+                uint(EBML_READ_VERSION, 1),
+                uint(EBML_MAX_ID_LENGTH, 4),
+                uint(EBML_MAX_SIZE_LENGTH, 8),
+                string(DOC_TYPE, 'webm'),
+                uint(DOC_TYPE_VERSION, 2),
+                uint(DOC_TYPE_READ_VERSION, 2)
+            ]);
+            const info = element(INFO, [
+                uint(TIMECODE_SCALE, 1000000), // Timecodes in ms
+                string(MUXING_APP, 'christmas-tree'),
+                string(WRITING_APP, 'christmas-tree'),
+                float(DURATION, durationMs)
+            ]);
+            const tracks = element(TRACKS, [element(TRACK_ENTRY, [
+                uint(TRACK_NUMBER, 1),
+                uint(TRACK_UID, 1),
+                uint(TRACK_TYPE, 1), // Video
+                string(CODEC_ID, WEBM_CODECS[codec]),
+                element(VIDEO, [uint(PIXEL_WIDTH, width), uint(PIXEL_HEIGHT, height)])
+            ])]);
+
+            // A new cluster at every key frame (so players can seek there) and before offsets overflow
+            const clusters = [];
+            let cluster = null;
+            frames.forEach(({ data, timeMs, keyFrame }) => {
+                if (!cluster || keyFrame || timeMs - cluster.timeMs > MAX_CLUSTER_MS) {
+                    cluster = { timeMs, parts: [uint(TIMECODE, timeMs)] };
+                    clusters.push(cluster);
+                }
+                const offset = timeMs - cluster.timeMs;
+                // Track 1, time offset (int16), flags
+                const blockHeader = Uint8Array.from([0x81, (offset >> 8) & 0xFF, offset & 0xFF, keyFrame ? 0x80 : 0]);
+                cluster.parts.push(element(SIMPLE_BLOCK, [blockHeader, data]));
+            });
+
+            const body = [info, tracks, ...clusters.map((c) => element(CLUSTER, c.parts))];
+            return [...header, ...element(SEGMENT, body)];
+        }
+    };
+}